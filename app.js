@@ -0,0 +1,3442 @@
+import express from 'express';
+import cors from 'cors';
+import jwt from 'jsonwebtoken';
+import { ObjectId } from 'mongodb';
+import {
+  TUITION_STATUS,
+  EDITABLE_STATUSES,
+  isTuitionStatus,
+  canTransition,
+  canStudentTransition,
+  canAdminTransition,
+  currentTuitionStatus,
+  postStatusFor,
+  historyEntry,
+  SCHEDULABLE_STATUSES,
+} from './lib/tuitionLifecycle.js';
+import {
+  APPLICATION_STATUS,
+  STUDENT_SETTABLE_STATUSES,
+  LOCKED_STATUSES,
+  canTransitionApplication,
+  canRefundTransitionApplication,
+  currentApplicationStatus,
+} from './lib/applicationWorkflow.js';
+import { paymentEntry, heldPaymentEntry, refundEntry, payoutEntry, tutorPayableAccount, parseMonth } from './lib/ledger.js';
+import { PERMISSIONS as P, isRole, hasPermission, requirePermission } from './lib/permissions.js';
+import { logger, requestLogger } from './lib/logger.js';
+import {
+  ConflictError,
+  ForbiddenError,
+  UnauthorizedError,
+  ServiceUnavailableError,
+  isDuplicateKeyError,
+  notFoundHandler,
+  errorHandler,
+} from './lib/errors.js';
+import { validateBody, validateObjectIdParam, schemas } from './lib/validation.js';
+import { accessTokenTtl, generateRefreshToken, generateCalendarToken, hashToken, refreshTokenExpiry } from './lib/tokens.js';
+import {
+  parseDateRange,
+  signupsPipeline,
+  tuitionBreakdownPipeline,
+  conversionPipeline,
+  revenuePipeline,
+  topTutorsPipeline,
+} from './lib/analytics.js';
+import { NOTIFICATION_EVENTS, isNotificationEvent, preferencesFor, createTransport, createNotifier } from './lib/notifications.js';
+import { scoreMatch, rankMatches } from './lib/matching.js';
+import { AUDIT_ACTIONS, isAuditAction, createAuditLog } from './lib/audit.js';
+import { createMigrator } from './lib/migrations.js';
+import { migrations } from './migrations/index.js';
+import { SESSION_STATUS, canTransitionSession, isTimezone, expandSchedule, findSlotOverlap, buildCalendar } from './lib/scheduling.js';
+import { EXPORT_FIELDS, parseExportQuery, projectionFor, streamExport } from './lib/exporting.js';
+import { parsePagination, budgetValueField, buildTuitionQuery, buildTutorQuery, pageResponse } from './lib/listing.js';
+import { createMemoryStore, rateLimit, keyByIp, keyByUser, limitFromEnv, quotaWindow, assertQuota } from './lib/rateLimit.js';
+
+// the app with its external services passed in, index.js wires the real clients and tests pass fakes.
+// mongoClient connects on the first request, paymentGateway is lib/paymentGateway.js (or a fake with the same methods),
+// auth is firebase admin auth ({ verifyIdToken, deleteUser }) or null when firebase is not configured
+export const createApp = ({
+  mongoClient,
+  dbName = 'edubridge',
+  paymentGateway,
+  auth = null,
+  rateLimitStore = createMemoryStore(),
+  transport = createTransport(),
+  autoMigrate = false,
+  trustProxy = false,
+}) => {
+  const app = express();
+  const site = process.env.SITE_DOMAIN || 'http://localhost:5173';
+
+  // ---------- commission policy ----------
+  // platform keeps a percentage of the agreed salary, the rest goes to the tutor
+  const platformFeePercent = Number(process.env.PLATFORM_FEE_PERCENT ?? 10);
+
+  const computePaymentSplit = (salary) => {
+    const adminFee = Math.round((salary * platformFeePercent) / 100);
+    return { salary, tutorAmount: salary - adminFee, adminFee };
+  };
+
+  // ---------- rate limits ----------
+  // counters live in memory per instance until a shared store is plugged in
+  const limits = {
+    auth: limitFromEnv('auth', { max: 10, windowMs: 60 * 1000 }),
+    publicListing: limitFromEnv('public', { max: 120, windowMs: 60 * 1000 }),
+    checkout: limitFromEnv('checkout', { max: 10, windowMs: 10 * 60 * 1000 }),
+    apply: limitFromEnv('apply', { max: 20, windowMs: 60 * 60 * 1000 }),
+  };
+
+  const authLimiter = rateLimit({ ...limits.auth, store: rateLimitStore, keyBy: keyByIp });
+  const publicLimiter = rateLimit({ ...limits.publicListing, store: rateLimitStore, keyBy: keyByIp });
+  const checkoutLimiter = rateLimit({ ...limits.checkout, store: rateLimitStore, keyBy: keyByUser });
+  const applyLimiter = rateLimit({ ...limits.apply, store: rateLimitStore, keyBy: keyByUser });
+
+  // ---------- middleware ----------
+  // behind a proxy req.ip comes from x-forwarded-for, reached directly that header is the client's to forge
+  app.set('trust proxy', trustProxy);
+
+  app.use(requestLogger);
+
+  // keep the raw body around, stripe webhook signatures are computed over it
+  app.use(
+    express.json({
+      verify: (req, res, buf) => {
+        req.rawBody = buf;
+      },
+    })
+  );
+
+  // CORS (serverless-safe)
+  app.use(
+    cors({
+      origin: [site, 'http://localhost:5173'],
+      credentials: true,
+    })
+  );
+
+  // ---------- JWT middleware ----------
+  // the token version must match the user document, role changes and deletions bump or remove it
+  const verifyJwtToken = async (req, res, next) => {
+    const token = req.headers.authorization;
+
+    if (!token) throw new UnauthorizedError();
+
+    const jwtToken = token.split(' ')[1];
+
+    let decoded;
+    try {
+      decoded = jwt.verify(jwtToken, process.env.ACCESS_TOKEN_SECRET);
+    } catch (err) {
+      throw new ForbiddenError();
+    }
+
+    const user = await usersCollection.findOne({ firebaseUID: decoded.uid }, { projection: { tokenVersion: 1 } });
+
+    if (!user || (user.tokenVersion || 0) !== (decoded.tv || 0)) {
+      throw new UnauthorizedError('Token revoked');
+    }
+
+    req.decoded = decoded;
+    next();
+  };
+
+  // ---------- MongoDB ----------
+  let dbReady = false;
+  let usersCollection;
+  let tuitionsCollection;
+  let tuitionApplications;
+  let paymentsCollection;
+  let refreshTokensCollection;
+  let reviewsCollection;
+  let messagesCollection;
+  let notificationsCollection;
+  let disputesCollection;
+  let ledgerCollection;
+  let verificationsCollection;
+  let settingsCollection;
+  let sessionsCollection;
+  let subscriptionsCollection;
+  let auditCollection;
+  let notifier;
+  let auditLog;
+
+  async function connectDB() {
+    await mongoClient.connect();
+    const db = mongoClient.db(dbName);
+
+    usersCollection = db.collection('users');
+    tuitionsCollection = db.collection('tuitions');
+    tuitionApplications = db.collection('applications');
+    paymentsCollection = db.collection('payments');
+    refreshTokensCollection = db.collection('refreshTokens');
+    reviewsCollection = db.collection('reviews');
+    messagesCollection = db.collection('messages');
+    notificationsCollection = db.collection('notifications');
+    disputesCollection = db.collection('disputes');
+    ledgerCollection = db.collection('ledger');
+    verificationsCollection = db.collection('verifications');
+    settingsCollection = db.collection('settings');
+    sessionsCollection = db.collection('sessions');
+    subscriptionsCollection = db.collection('subscriptions');
+    auditCollection = db.collection('auditLog');
+
+    notifier = createNotifier({ notificationsCollection, usersCollection, transport });
+    auditLog = createAuditLog({ auditCollection });
+
+    // deploys run `npm run migrate`, autoMigrate is for local development and the tests.
+    // a failing migration (002 refusing duplicates, another instance holding the lock) is logged instead of failing every request,
+    // `npm run migrate` is where it stops a deploy
+    if (autoMigrate) {
+      try {
+        await createMigrator({ db, migrations }).up();
+      } catch (err) {
+        logger.error('migrations failed, run npm run migrate to see why', { err });
+      }
+    }
+
+    dbReady = true;
+    logger.info('database connected');
+  }
+
+  // one connect per instance however many cold start requests arrive together, a failed one is retried by the next request
+  let connecting = null;
+
+  const initDB = () => {
+    connecting ||= connectDB().catch((err) => {
+      connecting = null;
+      throw err;
+    });
+    return connecting;
+  };
+
+  // every request tries to ensure DB ready (safe in serverless)
+  app.use(async (req, res, next) => {
+    try {
+      await initDB();
+    } catch (err) {
+      throw new ServiceUnavailableError('Database not ready', { cause: err });
+    }
+    next();
+  });
+
+  // every :id param is a mongo ObjectId, answer 400 instead of failing in new ObjectId()
+  app.param('id', validateObjectIdParam);
+
+  // ---------- sessions ----------
+  // access token + a new refresh token in the given family (one family per login)
+  const issueTokens = async (user, family = new ObjectId().toString()) => {
+    const secret = process.env.ACCESS_TOKEN_SECRET;
+    if (!secret) throw new Error('ACCESS_TOKEN_SECRET is not set');
+
+    const uid = user.firebaseUID;
+    const tokenVersion = user.tokenVersion || 0;
+    const expiresIn = accessTokenTtl();
+
+    const token = jwt.sign({ uid, userType: user.userType, tv: tokenVersion }, secret, { expiresIn });
+    const refreshToken = generateRefreshToken();
+
+    await refreshTokensCollection.insertOne({
+      tokenHash: hashToken(refreshToken),
+      uid,
+      family,
+      tokenVersion,
+      revokedAt: null,
+      expiresAt: refreshTokenExpiry(),
+      createdAt: new Date(),
+    });
+
+    return { token, refreshToken, userType: user.userType, expiresIn };
+  };
+
+  const revokeRefreshTokens = (query) =>
+    refreshTokensCollection.updateMany({ ...query, revokedAt: null }, { $set: { revokedAt: new Date() } });
+
+  // kills every access and refresh token of a user
+  const revokeUserSessions = async (uid) => {
+    await usersCollection.updateOne({ firebaseUID: uid }, { $inc: { tokenVersion: 1 } });
+    await revokeRefreshTokens({ uid });
+  };
+
+  // ---------- account deletion ----------
+  // deletion is scheduled first and can be undone until the grace period ends,
+  // then the purge closes the user's tuitions/applications and anonymizes payments
+  const deletionGraceDays = Number(process.env.ACCOUNT_DELETION_GRACE_DAYS ?? 14);
+
+  // worked out before scheduling so the audit entry can be written first
+  const plannedDeletion = () => {
+    const requestedAt = new Date();
+    return { requestedAt, scheduledFor: new Date(requestedAt.getTime() + deletionGraceDays * 24 * 60 * 60 * 1000) };
+  };
+
+  const scheduleUserDeletion = async (user, deletion, requestedBy) => {
+    await usersCollection.updateOne({ _id: user._id }, { $set: { deletion: { ...deletion, requestedBy } } });
+    await revokeUserSessions(user.firebaseUID);
+  };
+
+  // ---------- audit & admin safety ----------
+  // who made the request, for audit entries
+  const requestContext = (req) => ({
+    actor: { uid: req.decoded?.uid, userType: req.decoded?.userType },
+    ip: req.ip,
+    requestId: req.id,
+  });
+
+  // demoting or deleting the only admin left would lock everyone out of the admin panel
+  const assertNotLastAdmin = async (user) => {
+    if (user.userType !== 'admin') return;
+
+    const admins = await usersCollection.countDocuments({ userType: 'admin', deletion: { $exists: false } });
+    if (admins <= 1) throw new ConflictError('The last remaining admin can not be demoted or deleted');
+  };
+
+  // shared by deleting your own account and deleting someone else's
+  const userDeletionAudit = (req, user) => ({
+    ...requestContext(req),
+    target: { type: 'user', id: user._id },
+    before: { userType: user.userType, email: user.email },
+    meta: { firebaseUID: user.firebaseUID, email: user.email },
+  });
+
+  const cancelUserDeletion = (user) => usersCollection.updateOne({ _id: user._id }, { $unset: { deletion: '' } });
+
+  const purgeUser = async (user) => {
+    const uid = user.firebaseUID;
+    const actor = { system: 'account-deletion' };
+    const reason = 'account deleted';
+    const { PENDING, SHORTLISTED, SELECTED, WITHDRAWN, REJECTED } = APPLICATION_STATUS;
+
+    // student side: close every post that was not paid yet
+    const tuitions = await tuitionsCollection.find({ studentId: uid }).toArray();
+
+    for (const tuition of tuitions) {
+      if (canStudentTransition(currentTuitionStatus(tuition), TUITION_STATUS.CANCELLED)) {
+        await transitionTuition(tuition, TUITION_STATUS.CANCELLED, { actor, reason });
+
+        await tuitionApplications.updateMany(
+          { tuitionId: tuition._id, applyStatus: { $in: [PENDING, SHORTLISTED, SELECTED] } },
+          { $set: { applyStatus: REJECTED }, $push: { statusHistory: historyEntry(null, REJECTED, actor, 'tuition closed') } }
+        );
+      }
+    }
+
+    // tutor side: withdraw open applications, a selected one frees its tuition again
+    const selected = await tuitionApplications.find({ tutorId: uid, applyStatus: SELECTED, paymentStatus: { $ne: 'paid' } }).toArray();
+
+    await tuitionApplications.updateMany(
+      { tutorId: uid, applyStatus: { $in: [PENDING, SHORTLISTED, SELECTED] }, paymentStatus: { $ne: 'paid' } },
+      { $set: { applyStatus: WITHDRAWN }, $push: { statusHistory: historyEntry(null, WITHDRAWN, actor, reason) } }
+    );
+
+    for (const application of selected) {
+      const tuition = await tuitionsCollection.findOne({ _id: application.tuitionId });
+      if (tuition) await transitionTuition(tuition, TUITION_STATUS.OPEN, { actor, reason: 'selected tutor deleted' });
+    }
+
+    // payments stay for the books, without personal data
+    await paymentsCollection.updateMany(
+      { studentId: uid },
+      { $set: { studentName: 'Deleted user', studentEmail: null, studentAnonymized: true } }
+    );
+    await paymentsCollection.updateMany({ tutorId: uid }, { $set: { tutorAnonymized: true } });
+
+    await tuitionApplications.updateMany({ studentId: uid }, { $set: { studentName: 'Deleted user', studentEmail: null } });
+    await tuitionApplications.updateMany({ tutorId: uid }, { $set: { tutorName: 'Deleted user', tutorEmail: null, tutorPhoto: null } });
+
+    // reviews keep the rating for the tutor, a deleted tutor's reviews leave the public profile
+    await reviewsCollection.updateMany({ studentId: uid }, { $set: { studentName: 'Deleted user' } });
+    await reviewsCollection.updateMany({ tutorId: uid }, { $set: { status: 'hidden', reply: null } });
+
+    // id documents are only kept for the review of a live account
+    await verificationsCollection.deleteMany({ tutorId: uid });
+
+    // conversations end with the account, the other side's inbox loses the tutor's name
+    const applicationIds = (await tuitionApplications.find({ tutorId: uid }, { projection: { _id: 1 } }).toArray()).map(({ _id }) => _id);
+
+    await messagesCollection.deleteMany({ participants: uid });
+    await notificationsCollection.deleteMany({ uid });
+    await notificationsCollection.updateMany({ 'data.applicationId': { $in: applicationIds }, 'data.tutorName': { $type: 'string' } }, [
+      {
+        $set: {
+          body: { $replaceAll: { input: '$body', find: '$data.tutorName', replacement: 'Deleted user' } },
+          'data.tutorName': 'Deleted user',
+        },
+      },
+    ]);
+
+    // past sessions stay for attendance, without the student's address
+    await cancelUpcomingSessions({ $or: [{ studentId: uid }, { tutorId: uid }] }, reason);
+    await sessionsCollection.updateMany({ studentId: uid }, { $set: { location: null } });
+
+    if (auth) {
+      try {
+        await auth.deleteUser(uid);
+      } catch (err) {
+        if (err.code !== 'auth/user-not-found') throw err;
+      }
+    }
+
+    await revokeRefreshTokens({ uid });
+    await usersCollection.deleteOne({ _id: user._id });
+  };
+
+  // ---------- platform settings ----------
+  // single document, missing keys fall back to the defaults
+  const defaultSettings = {
+    requireVerifiedTutors: process.env.REQUIRE_VERIFIED_TUTORS === 'true',
+    // per UTC day, 0 turns the quota off
+    dailyApplicationQuota: Number(process.env.DAILY_APPLICATION_QUOTA ?? 15),
+    dailyTuitionPostQuota: Number(process.env.DAILY_TUITION_POST_QUOTA ?? 5),
+  };
+
+  const getPlatformSettings = async () => {
+    const settings = await settingsCollection.findOne({ _id: 'platform' });
+    const { _id, ...values } = settings || {};
+    return { ...defaultSettings, ...values };
+  };
+
+  // ---------- tutor rating ----------
+  // average of published reviews, kept on the tutor document for listings
+  const refreshTutorRating = async (tutorId) => {
+    const [summary] = await reviewsCollection
+      .aggregate([
+        { $match: { tutorId, status: 'published' } },
+        { $group: { _id: null, average: { $avg: '$rating' }, count: { $sum: 1 } } },
+      ])
+      .toArray();
+
+    const rating = summary ? { average: Math.round(summary.average * 10) / 10, count: summary.count } : { average: 0, count: 0 };
+
+    await usersCollection.updateOne({ firebaseUID: tutorId }, { $set: { rating } });
+    return rating;
+  };
+
+  // ---------- tuition transitions ----------
+  // moves a tuition to a new lifecycle state and stores who did it and why,
+  // returns null when the move is not allowed or the post changed in between
+  const transitionTuition = async (tuition, to, { actor, reason, set = {} } = {}) => {
+    const from = currentTuitionStatus(tuition);
+    if (!canTransition(from, to)) return null;
+
+    const result = await tuitionsCollection.updateOne(
+      { _id: tuition._id, status: tuition.status },
+      {
+        $set: { ...set, status: to, postStatus: postStatusFor(to), updatedAt: new Date() },
+        $push: { statusHistory: historyEntry(from, to, actor, reason) },
+      }
+    );
+
+    if (result.matchedCount === 0) return null;
+
+    if (SCHEDULABLE_STATUSES.includes(from) && !SCHEDULABLE_STATUSES.includes(to)) {
+      await cancelUpcomingSessions({ tuitionId: tuition._id }, `tuition ${to}`);
+    }
+
+    return result;
+  };
+
+  // same for applications
+  const transitionApplication = async (application, to, { actor, reason, set = {} } = {}) => {
+    const from = currentApplicationStatus(application);
+    if (!canTransitionApplication(from, to)) return null;
+
+    const result = await tuitionApplications.updateOne(
+      { _id: application._id, applyStatus: application.applyStatus },
+      {
+        $set: { ...set, applyStatus: to, updatedAt: new Date() },
+        $push: { statusHistory: historyEntry(from, to, actor, reason) },
+      }
+    );
+
+    return result.matchedCount === 0 ? null : result;
+  };
+
+  // close every other application once a tutor is hired
+  const rejectCompetingApplications = async (tuitionId, hiredApplicationId) => {
+    const { PENDING, SHORTLISTED, SELECTED, REJECTED } = APPLICATION_STATUS;
+
+    return tuitionApplications.updateMany(
+      {
+        tuitionId,
+        _id: { $ne: hiredApplicationId },
+        applyStatus: { $in: [PENDING, SHORTLISTED, SELECTED] },
+        paymentStatus: { $ne: 'paid' },
+      },
+      {
+        $set: { applyStatus: REJECTED, closedByHire: true, updatedAt: new Date() },
+        $push: { statusHistory: historyEntry(null, REJECTED, { system: 'hire' }, 'another tutor was hired') },
+      }
+    );
+  };
+
+  // ---------- Health route ----------
+  app.get('/', (req, res) => {
+    res.send({
+      status: 'ok',
+      vercel: process.env.VERCEL === '1',
+      dbConnected: dbReady,
+    });
+  });
+
+  // ========================= ROUTES =========================
+
+  // signup
+  app.post('/signup', authLimiter, validateBody(schemas.signup), async (req, res) => {
+    const existing = await usersCollection.findOne({ email: req.body.email });
+
+    if (existing) {
+      return res.status(409).json({ message: 'Email already exists' });
+    }
+
+    const body = req.body;
+    body.createdAt = new Date();
+
+    // the check above can race, the unique index on email settles it
+    try {
+      const result = await usersCollection.insertOne(body);
+      res.send(result);
+    } catch (err) {
+      if (isDuplicateKeyError(err)) return res.status(409).json({ message: 'Email already exists' });
+      throw err;
+    }
+  });
+
+  // users (admin only)
+  app.get('/users', verifyJwtToken, requirePermission(P.USER_READ), async (req, res) => {
+    const result = await usersCollection.find({}).sort({ createdAt: -1 }).toArray();
+    res.send(result);
+  });
+
+  // get users (me)
+  app.get('/user/me', verifyJwtToken, requirePermission(P.PROFILE_MANAGE), async (req, res) => {
+    const { uid } = req.decoded;
+
+    const result = await usersCollection.findOne({ firebaseUID: uid });
+
+    if (!result) return res.status(404).send({ message: 'User not found' });
+    return res.send(result);
+  });
+
+  // update user (me)
+  app.patch('/user/me', verifyJwtToken, requirePermission(P.PROFILE_MANAGE), validateBody(schemas.userUpdate), async (req, res) => {
+    const { uid } = req.decoded;
+
+    const query = { firebaseUID: uid };
+    const { name, classLevel, teachingClass, subject, phone, location, expectedSalary } = req.body;
+
+    const updatedDoc = {
+      $set: {
+        name,
+        classLevel,
+        teachingClass,
+        subject,
+        phone,
+        location,
+        expectedSalary,
+      },
+    };
+
+    // undefined not updated
+    Object.keys(updatedDoc.$set).forEach((key) => {
+      if (updatedDoc.$set[key] === undefined) delete updatedDoc.$set[key];
+    });
+
+    if (Object.keys(updatedDoc.$set).length === 0) {
+      return res.status(400).send({ message: 'Nothing to update' });
+    }
+
+    const result = await usersCollection.updateOne(query, updatedDoc);
+    res.send(result);
+  });
+
+  // update user profile picture (me)
+  app.patch('/user/me/photo', verifyJwtToken, requirePermission(P.PROFILE_MANAGE), validateBody(schemas.userPhoto), async (req, res) => {
+    const { uid } = req.decoded;
+    const { photoURL } = req.body;
+
+    if (!photoURL) return res.status(400).send({ message: 'photoURL required' });
+
+    const result = await usersCollection.updateOne({ firebaseUID: uid }, { $set: { photoURL } });
+
+    res.send(result);
+  });
+
+  // delete user (me), scheduled so it can be undone during the grace period
+  app.delete('/user/me', verifyJwtToken, requirePermission(P.PROFILE_MANAGE), async (req, res) => {
+    const { uid } = req.decoded;
+
+    const user = await usersCollection.findOne({ firebaseUID: uid });
+
+    if (!user) {
+      return res.status(404).send({ message: 'User not found' });
+    }
+
+    await assertNotLastAdmin(user);
+
+    const deletion = plannedDeletion();
+    await auditLog.record({ ...userDeletionAudit(req, user), action: AUDIT_ACTIONS.USER_DELETION_SCHEDULED, after: { deletion } });
+    await scheduleUserDeletion(user, deletion, uid);
+
+    return res.send({ message: 'User deletion scheduled', ...deletion });
+  });
+
+  // undo scheduled deletion (me)
+  app.post('/user/me/restore', verifyJwtToken, requirePermission(P.PROFILE_MANAGE), async (req, res) => {
+    const { uid } = req.decoded;
+
+    const user = await usersCollection.findOne({ firebaseUID: uid });
+
+    if (!user?.deletion) {
+      return res.status(404).send({ message: 'No deletion scheduled' });
+    }
+
+    await auditLog.record({
+      ...userDeletionAudit(req, user),
+      action: AUDIT_ACTIONS.USER_DELETION_CANCELLED,
+      changes: { deletion: { from: user.deletion, to: null } },
+    });
+    const result = await cancelUserDeletion(user);
+
+    return res.send(result);
+  });
+
+  // public listings are throttled per ip
+  app.use(['/all-tuitions', '/public'], publicLimiter);
+
+  // what anyone may see of a tutor. an allow-list, so new private fields stay private by default.
+  // firebaseUID stays because the public profile and review routes are keyed by it
+  const PUBLIC_TUTOR_PROJECTION = {
+    firebaseUID: 1,
+    name: 1,
+    photoURL: 1,
+    location: 1,
+    teachingClass: 1,
+    subject: 1,
+    expectedSalary: 1,
+    verified: 1,
+    rating: 1,
+    createdAt: 1,
+  };
+
+  // public tutors (search, filter, paginate)
+  app.get('/public/tutors', async (req, res) => {
+    const pagination = parsePagination(req.query);
+    const { filter, sort } = buildTutorQuery(req.query);
+    const query = { ...filter, userType: 'teacher', deletion: { $exists: false } };
+
+    const [data, total] = await Promise.all([
+      usersCollection
+        .find(query, { projection: PUBLIC_TUTOR_PROJECTION })
+        .sort(sort)
+        .skip(pagination.skip)
+        .limit(pagination.limit)
+        .toArray(),
+      usersCollection.countDocuments(query),
+    ]);
+
+    res.send(pageResponse(data, total, pagination));
+  });
+
+  // update user (admin)
+  app.patch(
+    '/admin/users/:id',
+    verifyJwtToken,
+    requirePermission(P.USER_MANAGE),
+    validateBody(schemas.adminUserUpdate),
+    async (req, res) => {
+      const id = req.params.id;
+
+      if (Object.keys(req.body).length === 0) {
+        return res.status(400).send({ message: 'Nothing to update' });
+      }
+
+      const query = { _id: new ObjectId(id) };
+      const user = await usersCollection.findOne(query);
+
+      if (!user) return res.status(404).send({ message: 'User not found' });
+
+      // old tokens still carry the old role, invalidate them right away
+      const roleChanged = req.body.userType !== undefined && req.body.userType !== user.userType;
+      if (roleChanged) await assertNotLastAdmin(user);
+
+      const updatedDoc = roleChanged ? { $set: req.body, $inc: { tokenVersion: 1 } } : { $set: req.body };
+
+      await auditLog.record({
+        ...requestContext(req),
+        action: AUDIT_ACTIONS.USER_UPDATE,
+        target: { type: 'user', id: user._id },
+        before: user,
+        after: req.body,
+        meta: { firebaseUID: user.firebaseUID, email: user.email },
+      });
+
+      const result = await usersCollection.updateOne(query, updatedDoc);
+
+      if (roleChanged) await revokeRefreshTokens({ uid: user.firebaseUID });
+
+      res.send(result);
+    }
+  );
+
+  // delete user (admin), ?immediate=true skips the grace period
+  app.delete('/admin/users/:id', verifyJwtToken, requirePermission(P.USER_DELETE), async (req, res) => {
+    const id = req.params.id;
+    const user = await usersCollection.findOne({ _id: new ObjectId(id) });
+
+    if (!user) {
+      return res.status(404).send({ message: 'User not found' });
+    }
+
+    await assertNotLastAdmin(user);
+
+    const audit = userDeletionAudit(req, user);
+
+    if (req.query.immediate === 'true') {
+      // keyed like the scheduled purge, retrying a purge that failed half way does not log the deletion twice
+      await auditLog.record({
+        ...audit,
+        key: `user.delete:${user._id}`,
+        action: AUDIT_ACTIONS.USER_DELETE,
+        changes: { deleted: { from: false, to: true } },
+      });
+      await purgeUser(user);
+      return res.send({ message: 'User deleted' });
+    }
+
+    const deletion = plannedDeletion();
+    await auditLog.record({ ...audit, action: AUDIT_ACTIONS.USER_DELETION_SCHEDULED, after: { deletion } });
+    await scheduleUserDeletion(user, deletion, req.decoded.uid);
+
+    res.send({ message: 'User deletion scheduled', ...deletion });
+  });
+
+  // undo scheduled deletion (admin)
+  app.post('/admin/users/:id/restore', verifyJwtToken, requirePermission(P.USER_DELETE), async (req, res) => {
+    const user = await usersCollection.findOne({ _id: new ObjectId(req.params.id) });
+
+    if (!user?.deletion) {
+      return res.status(404).send({ message: 'No deletion scheduled for this user' });
+    }
+
+    await auditLog.record({
+      ...requestContext(req),
+      action: AUDIT_ACTIONS.USER_DELETION_CANCELLED,
+      target: { type: 'user', id: user._id },
+      changes: { deletion: { from: user.deletion, to: null } },
+      meta: { firebaseUID: user.firebaseUID, email: user.email },
+    });
+
+    const result = await cancelUserDeletion(user);
+
+    res.send(result);
+  });
+
+  // post tuitions (student)
+  app.post('/tuitions', verifyJwtToken, requirePermission(P.TUITION_CREATE), validateBody(schemas.tuitionCreate), async (req, res) => {
+    const { uid, userType } = req.decoded;
+
+    const { dailyTuitionPostQuota } = await getPlatformSettings();
+
+    assertQuota({
+      used: await tuitionsCollection.countDocuments({ studentId: uid, createdAt: { $gte: quotaWindow().since } }),
+      quota: dailyTuitionPostQuota,
+      message: `You can post at most ${dailyTuitionPostQuota} tuitions per day.`,
+    });
+
+    const { draft, ...body } = req.body;
+    const status = draft ? TUITION_STATUS.DRAFT : TUITION_STATUS.PENDING_REVIEW;
+
+    body.studentId = uid;
+    body.status = status;
+    body.postStatus = postStatusFor(status);
+    body.statusHistory = [historyEntry(null, status, { uid, userType }, 'created')];
+    body.createdAt = new Date();
+
+    const result = await tuitionsCollection.insertOne(body);
+    res.send(result);
+  });
+
+  const tuitionVisibility = ({ uid, userType }) => (hasPermission(userType, P.TUITION_READ_ALL) ? {} : { studentId: uid });
+
+  // get tuitions (student/admin)
+  app.get('/tuitions', verifyJwtToken, requirePermission(P.TUITION_MANAGE_OWN, P.TUITION_READ_ALL), async (req, res) => {
+    const query = tuitionVisibility(req.decoded);
+    const result = await tuitionsCollection.find(query).sort({ createdAt: -1 }).toArray();
+    res.send(result);
+  });
+
+  // get all public tuitions (search, filter, sort, paginate)
+  app.get('/all-tuitions', async (req, res) => {
+    const pagination = parsePagination(req.query);
+    const { filter, budgetFilter, sort } = buildTuitionQuery(req.query);
+
+    const pipeline = [
+      { $match: { ...filter, status: TUITION_STATUS.OPEN, postStatus: 'approved' } },
+      { $addFields: { budgetValue: budgetValueField } },
+      ...(budgetFilter ? [{ $match: budgetFilter }] : []),
+      { $sort: sort },
+      {
+        $facet: {
+          data: [
+            { $skip: pagination.skip },
+            { $limit: pagination.limit },
+            { $project: { studentId: 0, statusHistory: 0, budgetValue: 0 } },
+          ],
+          total: [{ $count: 'count' }],
+        },
+      },
+    ];
+
+    const [result] = await tuitionsCollection.aggregate(pipeline).toArray();
+    res.send(pageResponse(result.data, result.total[0]?.count || 0, pagination));
+  });
+
+  // tuition details (teacher)
+  app.get('/tuition-details/:id', verifyJwtToken, requirePermission(P.TUITION_DETAILS), async (req, res) => {
+    const id = req.params.id;
+    const result = await tuitionsCollection.findOne({ _id: new ObjectId(id) });
+    res.send(result);
+  });
+
+  // update tuition (student)
+  app.patch(
+    '/tuitions/:id',
+    verifyJwtToken,
+    requirePermission(P.TUITION_MANAGE_OWN),
+    validateBody(schemas.tuitionUpdate),
+    async (req, res) => {
+      const { uid, userType } = req.decoded;
+
+      const id = req.params.id;
+
+      if (Object.keys(req.body).length === 0) {
+        return res.status(400).send({ message: 'Nothing to update' });
+      }
+
+      const tuition = await tuitionsCollection.findOne({ _id: new ObjectId(id), studentId: uid });
+
+      if (!tuition) {
+        return res.status(404).send({ message: 'Tuition not found or not yours' });
+      }
+
+      const status = currentTuitionStatus(tuition);
+
+      if (!EDITABLE_STATUSES.includes(status)) {
+        return res.status(409).send({ message: `Tuition can not be edited while ${status}` });
+      }
+
+      const set = req.body;
+
+      // approved or rejected posts go back to review after an edit
+      if (status === TUITION_STATUS.OPEN || status === TUITION_STATUS.REJECTED) {
+        const result = await transitionTuition(tuition, TUITION_STATUS.PENDING_REVIEW, {
+          actor: { uid, userType },
+          reason: 'edited',
+          set,
+        });
+
+        if (!result) return res.status(409).send({ message: 'Tuition changed, please try again' });
+        return res.send(result);
+      }
+
+      const result = await tuitionsCollection.updateOne({ _id: tuition._id, status: tuition.status }, { $set: set });
+      res.send(result);
+    }
+  );
+
+  // move own tuition through the lifecycle (student)
+  app.patch(
+    '/tuitions/:id/status',
+    verifyJwtToken,
+    requirePermission(P.TUITION_MANAGE_OWN),
+    validateBody(schemas.statusChange),
+    async (req, res) => {
+      const { uid, userType } = req.decoded;
+
+      const { status, reason } = req.body;
+
+      if (!isTuitionStatus(status)) {
+        return res.status(400).send({ message: 'Invalid status' });
+      }
+
+      const tuition = await tuitionsCollection.findOne({ _id: new ObjectId(req.params.id), studentId: uid });
+
+      if (!tuition) {
+        return res.status(404).send({ message: 'Tuition not found or not yours' });
+      }
+
+      const from = currentTuitionStatus(tuition);
+
+      if (!canStudentTransition(from, status)) {
+        return res.status(409).send({ message: `Tuition can not move from ${from} to ${status}` });
+      }
+
+      // the tutor confirms lessons by marking sessions held, a student can't complete a tuition nobody taught
+      if (status === TUITION_STATUS.COMPLETED) {
+        const held = await sessionsCollection.countDocuments({ tuitionId: tuition._id, status: SESSION_STATUS.HELD }, { limit: 1 });
+        if (!held) return res.status(409).send({ message: 'A tuition can only be completed after its tutor marked a session held' });
+      }
+
+      const result = await transitionTuition(tuition, status, { actor: { uid, userType }, reason });
+
+      if (!result) return res.status(409).send({ message: 'Tuition changed, please try again' });
+      res.send(result);
+    }
+  );
+
+  // move tuition through the lifecycle, approve/reject posts (admin)
+  app.patch(
+    '/tuitions-status/:id',
+    verifyJwtToken,
+    requirePermission(P.TUITION_MODERATE),
+    validateBody(schemas.adminTuitionStatus),
+    async (req, res) => {
+      const { uid, userType } = req.decoded;
+
+      const { postStatus, reason } = req.body;
+
+      // postStatus approved/rejected is still accepted from older clients
+      const legacyStatus = { approved: TUITION_STATUS.OPEN, rejected: TUITION_STATUS.REJECTED };
+      const status = req.body.status || legacyStatus[postStatus];
+
+      if (!isTuitionStatus(status)) {
+        return res.status(400).send({ message: 'Invalid status' });
+      }
+
+      // moderators only approve or reject, other moves need the full lifecycle permission
+      if (!hasPermission(userType, P.TUITION_LIFECYCLE) && ![TUITION_STATUS.OPEN, TUITION_STATUS.REJECTED].includes(status)) {
+        return res.status(403).send({ message: 'You do not have permission for this action' });
+      }
+
+      const id = req.params.id;
+      const tuition = await tuitionsCollection.findOne({ _id: new ObjectId(id) });
+
+      if (!tuition) {
+        return res.status(404).send({ message: 'Tuition post not found' });
+      }
+
+      const from = currentTuitionStatus(tuition);
+
+      if (!canAdminTransition(from, status)) {
+        return res.status(409).send({ message: `Tuition can not move from ${from} to ${status}` });
+      }
+
+      await auditLog.record({
+        ...requestContext(req),
+        action: AUDIT_ACTIONS.TUITION_MODERATE,
+        target: { type: 'tuition', id: tuition._id },
+        changes: { status: { from, to: status } },
+        meta: { reason, studentId: tuition.studentId },
+      });
+
+      const result = await transitionTuition(tuition, status, { actor: { uid, userType }, reason });
+
+      if (!result) return res.status(409).send({ message: 'Tuition changed, please try again' });
+
+      if (status === TUITION_STATUS.OPEN && from === TUITION_STATUS.PENDING_REVIEW) {
+        await notifier.notify(tuition.studentId, NOTIFICATION_EVENTS.TUITION_APPROVED, {
+          tuitionId: tuition._id,
+          tuitionTitle: tuition.title,
+        });
+      }
+
+      if (status === TUITION_STATUS.REJECTED) {
+        await notifier.notify(tuition.studentId, NOTIFICATION_EVENTS.TUITION_REJECTED, {
+          tuitionId: tuition._id,
+          tuitionTitle: tuition.title,
+          reason,
+        });
+      }
+
+      res.send(result);
+    }
+  );
+
+  // delete tuition (student)
+  // drafts are removed, anything else is cancelled so applications keep their history
+  app.delete('/tuitions/:id', verifyJwtToken, requirePermission(P.TUITION_MANAGE_OWN), validateBody(schemas.reason), async (req, res) => {
+    const { uid, userType } = req.decoded;
+
+    const id = req.params.id;
+    const query = { _id: new ObjectId(id), studentId: uid };
+
+    const tuition = await tuitionsCollection.findOne(query);
+
+    if (!tuition) {
+      return res.status(404).send({ message: 'Tuition not found or not owned by this student' });
+    }
+
+    const status = currentTuitionStatus(tuition);
+
+    if (status === TUITION_STATUS.DRAFT) {
+      const result = await tuitionsCollection.deleteOne(query);
+      return res.send(result);
+    }
+
+    if (!canStudentTransition(status, TUITION_STATUS.CANCELLED)) {
+      return res.status(409).send({ message: `Tuition can not be deleted while ${status}` });
+    }
+
+    const result = await transitionTuition(tuition, TUITION_STATUS.CANCELLED, {
+      actor: { uid, userType },
+      reason: req.body.reason || 'deleted by student',
+    });
+
+    if (!result) return res.status(409).send({ message: 'Tuition changed, please try again' });
+    res.send(result);
+  });
+
+  // apply for tuition (teacher)
+  app.post(
+    '/applications/:id',
+    verifyJwtToken,
+    requirePermission(P.APPLICATION_CREATE),
+    applyLimiter,
+    validateBody(schemas.applicationCreate),
+    async (req, res) => {
+      const { uid } = req.decoded;
+      const { id: tuitionId } = req.params;
+
+      const tuitionObjectId = new ObjectId(tuitionId);
+      const tuition = await tuitionsCollection.findOne({ _id: tuitionObjectId });
+
+      if (!tuition) return res.status(404).send({ message: 'Tuition not found.' });
+
+      if (currentTuitionStatus(tuition) !== TUITION_STATUS.OPEN) {
+        return res.status(409).send({ message: 'Tuition is not open for applications.' });
+      }
+
+      const { requireVerifiedTutors, dailyApplicationQuota } = await getPlatformSettings();
+
+      if (requireVerifiedTutors) {
+        const tutor = await usersCollection.findOne({ firebaseUID: uid }, { projection: { verified: 1 } });
+        if (!tutor?.verified) return res.status(403).send({ message: 'Only verified tutors can apply, please submit your documents.' });
+      }
+
+      // withdrawn applications still count, otherwise apply/withdraw loops get around it
+      assertQuota({
+        used: await tuitionApplications.countDocuments({ tutorId: uid, createdAt: { $gte: quotaWindow().since } }),
+        quota: dailyApplicationQuota,
+        message: `You can send at most ${dailyApplicationQuota} applications per day.`,
+      });
+
+      const existing = await tuitionApplications.findOne({
+        tuitionId: tuitionObjectId,
+        tutorId: uid,
+      });
+
+      if (existing) {
+        return res.status(409).send({ message: 'You have already applied for this tuition.' });
+      }
+
+      const body = req.body;
+      body.tutorId = uid;
+      body.tuitionId = tuitionObjectId;
+      body.studentId = tuition.studentId;
+      body.applyStatus = 'pending';
+      body.createdAt = new Date();
+
+      let result;
+
+      try {
+        result = await tuitionApplications.insertOne(body);
+      } catch (err) {
+        if (isDuplicateKeyError(err)) return res.status(409).send({ message: 'You have already applied for this tuition.' });
+        throw err;
+      }
+
+      await notifier.notify(tuition.studentId, NOTIFICATION_EVENTS.APPLICATION_RECEIVED, {
+        tuitionId: tuition._id,
+        applicationId: result.insertedId,
+        tuitionTitle: tuition.title,
+        tutorName: body.tutorName,
+      });
+
+      res.send(result);
+    }
+  );
+
+  // tutor applications (teacher)
+  app.get('/applications', verifyJwtToken, requirePermission(P.APPLICATION_MANAGE_OWN), async (req, res) => {
+    const { uid } = req.decoded;
+
+    const result = await tuitionApplications.find({ tutorId: uid }).sort({ createdAt: -1 }).toArray();
+    res.send(result);
+  });
+
+  // student view tutor applications (student)
+  app.get('/tutor-applications', verifyJwtToken, requirePermission(P.APPLICATION_REVIEW), async (req, res) => {
+    const { uid } = req.decoded;
+
+    const result = await tuitionApplications.find({ studentId: uid }).sort({ createdAt: -1 }).toArray();
+    res.send(result);
+  });
+
+  // student updates application status
+  app.patch(
+    '/applications/:id',
+    verifyJwtToken,
+    requirePermission(P.APPLICATION_REVIEW),
+    validateBody(schemas.applicationStatus),
+    async (req, res) => {
+      const { uid, userType } = req.decoded;
+
+      const id = req.params.id;
+      const { applyStatus, reason } = req.body;
+
+      if (!STUDENT_SETTABLE_STATUSES.includes(applyStatus)) {
+        return res.status(400).send({ message: `applyStatus must be one of ${STUDENT_SETTABLE_STATUSES.join(', ')}` });
+      }
+
+      const application = await tuitionApplications.findOne({ _id: new ObjectId(id), studentId: uid });
+      if (!application) return res.status(404).send({ message: 'Application not found' });
+
+      const from = currentApplicationStatus(application);
+
+      if (!canTransitionApplication(from, applyStatus)) {
+        return res.status(409).send({ message: `Application can not move from ${from} to ${applyStatus}` });
+      }
+
+      const actor = { uid, userType };
+      const { SELECTED } = APPLICATION_STATUS;
+      const tuition = await tuitionsCollection.findOne({ _id: application.tuitionId });
+
+      // the selected tutor is being paid for right now
+      if (from === SELECTED && hasOpenCheckout(tuition)) {
+        return res.status(409).send({ message: 'A payment for this tutor is in progress, try again later' });
+      }
+
+      // selecting a tutor locks the tuition first, so only one tutor can be selected
+      if (applyStatus === SELECTED) {
+        const locked = tuition && (await transitionTuition(tuition, TUITION_STATUS.TUTOR_SELECTED, { actor, reason: 'tutor selected' }));
+
+        if (!locked) {
+          return res.status(409).send({ message: 'Another tutor is already selected or the tuition is not open' });
+        }
+      }
+
+      const result = await transitionApplication(application, applyStatus, { actor, reason });
+
+      if (!result) {
+        if (applyStatus === SELECTED) {
+          await transitionTuition({ ...tuition, status: TUITION_STATUS.TUTOR_SELECTED }, TUITION_STATUS.OPEN, {
+            actor,
+            reason: 'selection failed',
+          });
+        }
+        return res.status(409).send({ message: 'Application changed, please try again' });
+      }
+
+      // unselecting reopens the tuition for the other applicants
+      if (from === SELECTED && tuition && currentTuitionStatus(tuition) === TUITION_STATUS.TUTOR_SELECTED) {
+        await transitionTuition(tuition, TUITION_STATUS.OPEN, { actor, reason: 'tutor unselected' });
+      }
+
+      await notifier.notify(application.tutorId, NOTIFICATION_EVENTS.APPLICATION_STATUS_CHANGED, {
+        applicationId: application._id,
+        tuitionTitle: tuition?.title,
+        applyStatus,
+      });
+
+      res.send(result);
+    }
+  );
+
+  // record a paid checkout session (idempotent, keyed on stripeSessionId)
+  // payment documents are written by stripe webhooks, the actor is always stripe.
+  // keyed because stripe redelivers, the entry is written once before the change whichever delivery makes it
+  const auditPayment = (action, payment, { key, before } = {}) =>
+    auditLog.record({
+      key,
+      actor: { system: 'stripe' },
+      action,
+      target: { type: 'payment', id: payment.stripeSessionId },
+      before,
+      after: { status: payment.status, amount: payment.amount },
+      meta: { tuitionId: payment.tuitionId, tutorId: payment.tutorId, studentId: payment.studentId },
+    });
+
+  // marks the payment (or subscription) for an admin to refund or settle, once.
+  // the money of a flagged payment is held, it is not owed to the tutor and can not be paid out
+  const flagPaidSession = async (session, { monthly, reason, payment }) => {
+    const collection = monthly ? subscriptionsCollection : paymentsCollection;
+    const query = monthly ? { stripeSubscriptionId: session.subscription } : { stripeSessionId: session.id };
+
+    await auditLog.record({
+      key: `payment.flagged:${session.id}`,
+      actor: { system: 'stripe' },
+      action: AUDIT_ACTIONS.PAYMENT_FLAGGED,
+      target: monthly ? { type: 'subscription', id: session.subscription } : { type: 'payment', id: session.id },
+      changes: { review: { from: null, to: reason } },
+      meta: session.metadata,
+    });
+
+    const flagged = await collection.updateOne(
+      { ...query, review: null },
+      { $set: { review: { status: 'pending', reason, flaggedAt: new Date() } } }
+    );
+
+    if (flagged.modifiedCount) logger.warn('paid checkout needs review', { sessionId: session.id, reason });
+
+    if (payment) await postLedgerEntry(heldPaymentEntry(payment));
+
+    return { flagged: true, reason };
+  };
+
+  const recordPaidSession = async (session) => {
+    const { tuitionId, applicationId, tutorId, studentId, tuitionTitle, studentName, studentEmail, salary, tutorAmount, adminFee } =
+      session.metadata || {};
+
+    if (!tuitionId || !applicationId) {
+      throw new Error(`metadata missing on session ${session.id}`);
+    }
+
+    const monthly = session.mode === 'subscription';
+    // one time payments only, invoices of a subscription are posted as they are paid
+    let paymentDoc = null;
+    const tuition = await tuitionsCollection.findOne({ _id: new ObjectId(tuitionId) });
+
+    const appQuery = { _id: new ObjectId(applicationId) };
+
+    const appSet = {
+      tuitionTitle,
+      studentName,
+      studentEmail,
+      salary,
+      subject: tuition?.subject,
+      location: tuition?.location,
+      classLevel: tuition?.classLevel,
+      paymentStatus: 'paid',
+      paidAt: new Date(),
+      billing: monthly ? 'monthly' : 'one_time',
+    };
+
+    // monthly billing: each paid invoice becomes a payment (see recordInvoicePayment), the checkout only starts the hire
+    if (monthly) {
+      await subscriptionsCollection.updateOne(
+        { stripeSubscriptionId: session.subscription },
+        {
+          $setOnInsert: {
+            stripeSubscriptionId: session.subscription,
+            stripeCustomerId: session.customer,
+            stripeSessionId: session.id,
+            tuitionId,
+            applicationId,
+            tutorId,
+            studentId,
+            tuitionTitle,
+            salary: Number(salary),
+            status: 'active',
+            failedAttempts: 0,
+            createdAt: new Date(),
+          },
+        },
+        { upsert: true }
+      );
+    } else {
+      paymentDoc = {
+        tuitionId,
+        applicationId,
+        tutorId,
+        studentId,
+        tuitionTitle,
+        studentName,
+        studentEmail,
+        amount: Number(salary),
+        tutorAmount: Number(tutorAmount),
+        adminFee: Number(adminFee),
+        billing: 'one_time',
+        status: 'paid',
+        paidAt: new Date(),
+        stripeSessionId: session.id,
+        paymentIntentId: session.payment_intent,
+      };
+
+      await auditPayment(AUDIT_ACTIONS.PAYMENT_RECORDED, paymentDoc, { key: `payment.recorded:${session.id}` });
+      await paymentsCollection.updateOne({ stripeSessionId: session.id }, { $setOnInsert: paymentDoc }, { upsert: true });
+    }
+
+    const actor = { system: 'stripe' };
+    const application = await tuitionApplications.findOne(appQuery);
+
+    // stripe redelivers until we answer 2xx, so every step below checks what an earlier delivery already did
+    // and the whole function can run again after a failure half way
+    const applicationStatus = application ? currentApplicationStatus(application) : 'missing';
+    const tuitionStatus = tuition ? currentTuitionStatus(tuition) : 'missing';
+    const hiredHere = applicationStatus === APPLICATION_STATUS.HIRED && application.stripeSessionId === session.id;
+    const paidHere = tuition?.stripeSessionId === session.id && tuitionStatus !== TUITION_STATUS.TUTOR_SELECTED;
+
+    // only the selected tutor of a tuition waiting for payment is hired, anything else (a withdrawn application,
+    // a second tutor) keeps the money on record and goes to an admin instead of bending the workflow
+    if (!hiredHere && (applicationStatus !== APPLICATION_STATUS.SELECTED || tuitionStatus !== TUITION_STATUS.TUTOR_SELECTED)) {
+      return flagPaidSession(session, {
+        monthly,
+        payment: paymentDoc,
+        reason: `application is ${applicationStatus}, tuition is ${tuitionStatus}`,
+      });
+    }
+
+    if (!hiredHere) {
+      const appResult = await transitionApplication(application, APPLICATION_STATUS.HIRED, {
+        actor,
+        reason: `checkout ${session.id}`,
+        set: { ...appSet, stripeSessionId: session.id },
+      });
+
+      if (!appResult) {
+        return flagPaidSession(session, { monthly, payment: paymentDoc, reason: 'application changed while the payment was recorded' });
+      }
+    }
+
+    await rejectCompetingApplications(new ObjectId(tuitionId), appQuery._id);
+
+    if (!paidHere) {
+      const tuitionSet = { salary, paymentStatus: 'paid', paidAt: new Date(), billing: appSet.billing, stripeSessionId: session.id };
+      const tuitionResult = await transitionTuition(tuition, TUITION_STATUS.PAID, {
+        actor,
+        reason: `checkout ${session.id}`,
+        set: tuitionSet,
+      });
+
+      if (!tuitionResult) {
+        return flagPaidSession(session, { monthly, payment: paymentDoc, reason: 'tuition changed while the payment was recorded' });
+      }
+    }
+
+    // only a completed hire makes the tutor's share payable
+    if (paymentDoc) await postLedgerEntry(paymentEntry(paymentDoc));
+
+    await releaseCheckoutHold(session);
+
+    // the marker makes the notifications go out once, whichever delivery gets here first
+    const notified = monthly
+      ? { modifiedCount: 0 }
+      : await paymentsCollection.updateOne({ stripeSessionId: session.id, notifiedAt: null }, { $set: { notifiedAt: new Date() } });
+
+    if (notified.modifiedCount) {
+      const paymentData = { tuitionId, applicationId, tuitionTitle, amount: salary };
+      await notifier.notify(studentId, NOTIFICATION_EVENTS.PAYMENT_SUCCEEDED, paymentData);
+      await notifier.notify(tutorId, NOTIFICATION_EVENTS.PAYMENT_SUCCEEDED, { ...paymentData, amount: tutorAmount });
+    }
+
+    return { hired: true };
+  };
+
+  // a paid or expired session no longer holds its tuition
+  const releaseCheckoutHold = (session) =>
+    tuitionsCollection.updateOne(
+      { _id: new ObjectId(session.metadata.tuitionId), 'checkout.sessionId': session.id },
+      { $unset: { checkout: '' } }
+    );
+
+  // ---------- ledger ----------
+  // entries are unique per reference, posting the same one twice is a no-op
+  const postLedgerEntry = async (entry) => {
+    try {
+      await ledgerCollection.insertOne(entry);
+    } catch (err) {
+      if (!isDuplicateKeyError(err)) throw err;
+    }
+  };
+
+  // tutor payable totals per entry type, optionally limited by createdAt
+  const tutorLedgerSummary = async (tutorId, createdAt) => {
+    const account = tutorPayableAccount(tutorId);
+
+    const rows = await ledgerCollection
+      .aggregate([
+        { $match: { 'lines.account': account, ...(createdAt && { createdAt }) } },
+        { $unwind: '$lines' },
+        { $match: { 'lines.account': account } },
+        { $group: { _id: '$type', credit: { $sum: '$lines.credit' }, debit: { $sum: '$lines.debit' } } },
+      ])
+      .toArray();
+
+    const byType = Object.fromEntries(rows.map((row) => [row._id, row]));
+    const earned = byType.payment?.credit || 0;
+    const refunded = byType.refund?.debit || 0;
+    const paidOut = byType.payout?.debit || 0;
+
+    return { earned, refunded, paidOut, balance: earned - refunded - paidOut };
+  };
+
+  // ---------- refunds ----------
+  const refundableAmount = (payment) => Number(payment.amount) - (payment.refundedAmount || 0);
+
+  // brings payment, application and tuition in line with the refunded total,
+  // safe to run twice (our own refunds come back through the charge.refunded webhook)
+  const settleRefund = async (payment, refundedTotal, { actor, reason, tuitionAction = 'reopen', refund, context } = {}) => {
+    const fullyRefunded = refundedTotal >= Number(payment.amount);
+    const status = fullyRefunded ? 'refunded' : 'partially_refunded';
+    const refunded = refundedTotal - (payment.refundedAmount || 0);
+
+    if (refunded > 0) {
+      // the refund comes out of wherever the payment went
+      const posted = await ledgerCollection.findOne({ reference: `payment:${payment.stripeSessionId}` }, { projection: { type: 1 } });
+
+      // keyed on the refunded total like the ledger entry, the webhook of our own refund does not log it again
+      await auditLog.record({
+        ...context,
+        key: `payment.refunded:${payment.stripeSessionId}:${refundedTotal}`,
+        actor,
+        action: AUDIT_ACTIONS.PAYMENT_REFUNDED,
+        target: { type: 'payment', id: payment.stripeSessionId },
+        before: payment,
+        after: { status, refundedAmount: refundedTotal },
+        meta: { refunded, reason },
+      });
+
+      await postLedgerEntry(
+        refundEntry({
+          stripeSessionId: payment.stripeSessionId,
+          tutorId: payment.tutorId,
+          amount: Number(payment.amount),
+          tutorAmount: Number(payment.tutorAmount),
+          refunded,
+          refundedTotal,
+          held: posted?.type === 'payment_held',
+        })
+      );
+    }
+
+    // the same stripe refund settled by a concurrent request is pushed once
+    await paymentsCollection.updateOne(
+      { _id: payment._id, ...(refund && { 'refunds.refundId': { $ne: refund.refundId } }) },
+      {
+        $set: {
+          status,
+          refundedAmount: refundedTotal,
+          refundedAt: new Date(),
+          ...(fullyRefunded && payment.review && { 'review.status': 'refunded' }),
+        },
+        ...(refund && { $push: { refunds: refund } }),
+      }
+    );
+
+    // a refunded month doesn't undo the hire, cancelling the subscription ends it.
+    // a flagged payment never hired anyone, refunding it leaves the tuition alone
+    if (!fullyRefunded || payment.billing === 'monthly' || payment.review) return status;
+
+    const application = await tuitionApplications.findOne({ _id: new ObjectId(payment.applicationId) });
+    const tuition = await tuitionsCollection.findOne({ _id: new ObjectId(payment.tuitionId) });
+    const reopen = tuitionAction === 'reopen';
+
+    if (application && currentApplicationStatus(application) === APPLICATION_STATUS.HIRED) {
+      const to = reopen ? APPLICATION_STATUS.PENDING : APPLICATION_STATUS.REJECTED;
+
+      if (canRefundTransitionApplication(APPLICATION_STATUS.HIRED, to)) {
+        await tuitionApplications.updateOne(
+          { _id: application._id },
+          {
+            $set: { applyStatus: to, paymentStatus: 'refunded', updatedAt: new Date() },
+            $push: { statusHistory: historyEntry(APPLICATION_STATUS.HIRED, to, actor, reason || 'payment refunded') },
+          }
+        );
+      }
+    }
+
+    if (tuition && currentTuitionStatus(tuition) === TUITION_STATUS.PAID) {
+      const to = reopen ? TUITION_STATUS.OPEN : TUITION_STATUS.CANCELLED;
+      await transitionTuition(tuition, to, { actor, reason: reason || 'payment refunded', set: { paymentStatus: 'refunded' } });
+
+      // applicants closed by the hire get another chance
+      if (reopen) {
+        await tuitionApplications.updateMany(
+          { tuitionId: tuition._id, applyStatus: APPLICATION_STATUS.REJECTED, closedByHire: true },
+          {
+            $set: { applyStatus: APPLICATION_STATUS.PENDING, updatedAt: new Date() },
+            $unset: { closedByHire: '' },
+            $push: { statusHistory: historyEntry(APPLICATION_STATUS.REJECTED, APPLICATION_STATUS.PENDING, actor, 'tuition reopened') },
+          }
+        );
+      }
+    }
+
+    return status;
+  };
+
+  // refund through stripe, amount in BDT (whole remaining amount by default).
+  // the default idempotency key is the payment and what was refunded so far, two admins refunding at once make one refund
+  const refundPayment = async (
+    payment,
+    {
+      amount = refundableAmount(payment),
+      reason,
+      tuitionAction,
+      actor,
+      context,
+      idempotencyKey = `refund:${payment.stripeSessionId}:${payment.refundedAmount || 0}`,
+    }
+  ) => {
+    let paymentIntentId = payment.paymentIntentId;
+
+    // payments recorded before the webhook did not keep the payment intent
+    if (!paymentIntentId && payment.invoiceId) {
+      paymentIntentId = await paymentGateway.retrieveInvoicePaymentIntent(payment.invoiceId);
+    } else if (!paymentIntentId) {
+      const session = await paymentGateway.retrieveCheckoutSession(payment.stripeSessionId);
+      paymentIntentId = session.payment_intent;
+    }
+
+    const stripeRefund = await paymentGateway.createRefund({
+      paymentIntentId,
+      amount: Math.round(amount * 100),
+      metadata: { stripeSessionId: payment.stripeSessionId, reason: reason || '' },
+      idempotencyKey,
+    });
+
+    // a retry after the first attempt settled gets the same refund back, it was counted already
+    const settled = payment.refunds?.find(({ refundId }) => refundId === stripeRefund.id);
+    if (settled) return { status: payment.status, refund: settled };
+
+    const refund = { refundId: stripeRefund.id, amount, reason: reason || null, by: actor, at: new Date() };
+    const status = await settleRefund(payment, (payment.refundedAmount || 0) + amount, { actor, reason, tuitionAction, refund, context });
+
+    return { status, refund };
+  };
+
+  // mark a recorded payment refunded from a stripe charge
+  const recordRefundedCharge = async (charge) => {
+    const payment = await paymentsCollection.findOne({ paymentIntentId: charge.payment_intent });
+    if (!payment) return null;
+
+    return settleRefund(payment, charge.amount_refunded / 100, { actor: { system: 'stripe' }, reason: 'refunded in stripe' });
+  };
+
+  // ---------- monthly billing ----------
+  // one payment document per invoice, keyed by the invoice id in stripeSessionId so refunds,
+  // disputes and the ledger treat a month like any other payment
+  const toDate = (seconds) => (seconds ? new Date(seconds * 1000) : null);
+
+  const invoiceSubscription = (invoice) => {
+    const details = invoice.parent?.subscription_details;
+    const subscription = details?.subscription;
+    return { subscriptionId: typeof subscription === 'string' ? subscription : subscription?.id, metadata: details?.metadata || {} };
+  };
+
+  const invoicePeriod = (invoice) => {
+    const period = invoice.lines?.data?.[0]?.period;
+    return period
+      ? { start: toDate(period.start), end: toDate(period.end) }
+      : { start: toDate(invoice.period_start), end: toDate(invoice.period_end) };
+  };
+
+  // the base document of an invoice payment, shared by paid and failed invoices
+  const invoicePaymentDoc = (invoice, metadata, subscriptionId, amount) => {
+    // the split agreed at checkout, unless the amount changed since
+    const split =
+      Number(metadata.salary) === amount
+        ? { salary: amount, tutorAmount: Number(metadata.tutorAmount), adminFee: Number(metadata.adminFee) }
+        : computePaymentSplit(amount);
+
+    return {
+      tuitionId: metadata.tuitionId,
+      applicationId: metadata.applicationId,
+      tutorId: metadata.tutorId,
+      studentId: metadata.studentId,
+      tuitionTitle: metadata.tuitionTitle,
+      studentName: metadata.studentName,
+      studentEmail: metadata.studentEmail,
+      amount,
+      tutorAmount: split.tutorAmount,
+      adminFee: split.adminFee,
+      billing: 'monthly',
+      subscriptionId,
+      invoiceId: invoice.id,
+      billingPeriod: invoicePeriod(invoice),
+      stripeSessionId: invoice.id,
+    };
+  };
+
+  // an invoice in one of these states was charged, a redelivered or late event must never move it back
+  const CHARGED_INVOICE_STATUSES = ['paid', 'partially_refunded', 'refunded'];
+
+  const recordInvoicePayment = async (invoice) => {
+    const { subscriptionId, metadata } = invoiceSubscription(invoice);
+    if (!subscriptionId) return null;
+
+    if (!metadata.tuitionId) throw new Error(`metadata missing on invoice ${invoice.id}`);
+
+    const existing = await paymentsCollection.findOne({ stripeSessionId: invoice.id });
+    if (CHARGED_INVOICE_STATUSES.includes(existing?.status)) return { duplicate: true };
+
+    // nothing was charged, e.g. a zero amount invoice
+    const amount = invoice.amount_paid / 100;
+    if (amount <= 0) return null;
+    const paymentDoc = {
+      ...invoicePaymentDoc(invoice, metadata, subscriptionId, amount),
+      status: 'paid',
+      paidAt: toDate(invoice.status_transitions?.paid_at) || new Date(),
+      paymentIntentId: await paymentGateway.retrieveInvoicePaymentIntent(invoice.id),
+    };
+
+    await auditPayment(AUDIT_ACTIONS.PAYMENT_RECORDED, paymentDoc, { key: `payment.recorded:${invoice.id}`, before: existing });
+
+    // a delivery that recorded it in the meantime makes the upsert hit the unique index
+    try {
+      await paymentsCollection.updateOne(
+        { stripeSessionId: invoice.id, status: { $nin: CHARGED_INVOICE_STATUSES } },
+        { $set: paymentDoc, $unset: { nextRetryAt: '' } },
+        { upsert: true }
+      );
+    } catch (err) {
+      if (isDuplicateKeyError(err)) return { duplicate: true };
+      throw err;
+    }
+
+    // a subscription flagged at checkout never hired anyone, its invoices are held like a flagged payment
+    const subscription = await subscriptionsCollection.findOne({ stripeSubscriptionId: subscriptionId }, { projection: { review: 1 } });
+    await postLedgerEntry(subscription?.review ? heldPaymentEntry(paymentDoc) : paymentEntry(paymentDoc));
+
+    await subscriptionsCollection.updateOne(
+      { stripeSubscriptionId: subscriptionId },
+      { $set: { status: 'active', failedAttempts: 0, lastPaidAt: paymentDoc.paidAt, updatedAt: new Date() } }
+    );
+
+    const paymentData = { tuitionId: paymentDoc.tuitionId, tuitionTitle: paymentDoc.tuitionTitle, amount };
+    await notifier.notify(paymentDoc.studentId, NOTIFICATION_EVENTS.PAYMENT_SUCCEEDED, paymentData);
+    await notifier.notify(paymentDoc.tutorId, NOTIFICATION_EVENTS.PAYMENT_SUCCEEDED, { ...paymentData, amount: paymentDoc.tutorAmount });
+
+    return paymentDoc;
+  };
+
+  // stripe retries on its own schedule (smart retries), we keep the attempt count and tell the student
+  const recordFailedInvoice = async (invoice) => {
+    const { subscriptionId, metadata } = invoiceSubscription(invoice);
+    if (!subscriptionId || !metadata.tuitionId) return null;
+
+    // a late failure event for an invoice that got paid (or refunded) in the meantime
+    const existing = await paymentsCollection.findOne({ stripeSessionId: invoice.id });
+    if (CHARGED_INVOICE_STATUSES.includes(existing?.status)) return null;
+
+    const amount = invoice.amount_due / 100;
+    const nextRetryAt = toDate(invoice.next_payment_attempt);
+
+    const failedDoc = {
+      ...invoicePaymentDoc(invoice, metadata, subscriptionId, amount),
+      status: 'failed',
+      attemptCount: invoice.attempt_count,
+      nextRetryAt,
+      failedAt: new Date(),
+    };
+
+    await auditPayment(AUDIT_ACTIONS.PAYMENT_FAILED, failedDoc, {
+      key: `payment.failed:${invoice.id}:${invoice.attempt_count}`,
+      before: existing,
+    });
+
+    try {
+      await paymentsCollection.updateOne(
+        { stripeSessionId: invoice.id, status: { $nin: CHARGED_INVOICE_STATUSES } },
+        { $set: failedDoc },
+        { upsert: true }
+      );
+    } catch (err) {
+      if (isDuplicateKeyError(err)) return null;
+      throw err;
+    }
+
+    await subscriptionsCollection.updateOne(
+      { stripeSubscriptionId: subscriptionId },
+      { $set: { status: 'past_due', failedAttempts: invoice.attempt_count, nextRetryAt, updatedAt: new Date() } }
+    );
+
+    await notifier.notify(metadata.studentId, NOTIFICATION_EVENTS.PAYMENT_FAILED, {
+      tuitionId: metadata.tuitionId,
+      tuitionTitle: metadata.tuitionTitle,
+      amount,
+      nextRetryAt,
+    });
+  };
+
+  // a monthly tuition ends with its subscription: started lessons are completed, a hire that never started is cancelled.
+  // either way the tuition leaves paid/ongoing, its upcoming sessions are cancelled and the session cron skips it
+  const endSubscribedTuition = async (subscription) => {
+    const tuition = await tuitionsCollection.findOne({ _id: new ObjectId(subscription.tuitionId) });
+
+    // the tuition was refunded and hired again under another checkout since
+    if (!tuition || tuition.stripeSessionId !== subscription.stripeSessionId) return null;
+
+    const to = currentTuitionStatus(tuition) === TUITION_STATUS.ONGOING ? TUITION_STATUS.COMPLETED : TUITION_STATUS.CANCELLED;
+    return transitionTuition(tuition, to, { actor: { system: 'stripe' }, reason: 'subscription ended' });
+  };
+
+  // mirrors stripe's view of the subscription, dunning ends in canceled or unpaid depending on the stripe settings
+  const syncSubscription = async (subscription) => {
+    const status = subscription.pause_collection ? 'paused' : subscription.status;
+
+    const previous = await subscriptionsCollection.findOneAndUpdate(
+      { stripeSubscriptionId: subscription.id },
+      {
+        $set: {
+          status,
+          cancelAtPeriodEnd: Boolean(subscription.cancel_at_period_end),
+          currentPeriodEnd: toDate(subscription.items?.data?.[0]?.current_period_end),
+          canceledAt: toDate(subscription.canceled_at),
+          updatedAt: new Date(),
+        },
+      }
+    );
+
+    if (!previous || status !== 'canceled') return previous;
+
+    await endSubscribedTuition(previous);
+
+    // both sides hear about the end once, whoever cancelled
+    const marked = await subscriptionsCollection.updateOne(
+      { _id: previous._id, endedNotifiedAt: { $exists: false } },
+      { $set: { endedNotifiedAt: new Date() } }
+    );
+
+    if (marked.modifiedCount) {
+      const data = { tuitionId: previous.tuitionId, tuitionTitle: previous.tuitionTitle };
+      await notifier.notify(previous.studentId, NOTIFICATION_EVENTS.SUBSCRIPTION_ENDED, data);
+      await notifier.notify(previous.tutorId, NOTIFICATION_EVENTS.SUBSCRIPTION_ENDED, data);
+    }
+
+    return previous;
+  };
+
+  // stripe webhook
+  app.post('/webhooks/stripe', async (req, res) => {
+    let event;
+
+    try {
+      event = paymentGateway.constructWebhookEvent(req.rawBody, req.headers['stripe-signature'], process.env.STRIPE_WEBHOOK_SECRET);
+    } catch (err) {
+      req.log.warn('stripe webhook signature invalid', { error: err.message });
+      return res.status(400).send({ message: 'Invalid signature' });
+    }
+
+    try {
+      switch (event.type) {
+        case 'checkout.session.completed':
+        case 'checkout.session.async_payment_succeeded': {
+          const session = event.data.object;
+          if (session.payment_status === 'paid') await recordPaidSession(session);
+          break;
+        }
+
+        // unpaid sessions have no payment document, the tuition is free for another checkout again
+        case 'checkout.session.expired': {
+          const session = event.data.object;
+          if (session.metadata?.tuitionId) await releaseCheckoutHold(session);
+          break;
+        }
+
+        case 'charge.refunded':
+          await recordRefundedCharge(event.data.object);
+          break;
+
+        case 'invoice.paid':
+          await recordInvoicePayment(event.data.object);
+          break;
+
+        case 'invoice.payment_failed':
+          await recordFailedInvoice(event.data.object);
+          break;
+
+        case 'customer.subscription.updated':
+        case 'customer.subscription.deleted':
+          await syncSubscription(event.data.object);
+          break;
+
+        default:
+          break;
+      }
+
+      res.send({ received: true });
+    } catch (err) {
+      req.log.error('stripe webhook handling failed', { err, eventId: event.id, eventType: event.type });
+      // non 2xx so stripe retries the delivery
+      res.status(500).send({ message: 'Webhook handling failed', requestId: req.id });
+    }
+  });
+
+  // payment status check (read only, recording happens in the webhook), for the student who paid, the tutor and admins
+  const paymentStatusHandler = async (req, res) => {
+    const { uid, userType } = req.decoded;
+    const sessionId = req.query.session_id;
+    if (!sessionId) return res.status(400).send({ message: 'session_id missing' });
+
+    let session;
+    try {
+      session = await paymentGateway.retrieveCheckoutSession(String(sessionId));
+    } catch (err) {
+      if (err.statusCode === 404) return res.status(404).send({ message: 'Payment not found' });
+      throw err;
+    }
+
+    const { studentId, tutorId } = session.metadata || {};
+    if (studentId !== uid && tutorId !== uid && !hasPermission(userType, P.PAYMENT_READ_ALL)) {
+      return res.status(404).send({ message: 'Payment not found' });
+    }
+
+    // monthly checkouts are recorded as a subscription, their payments come with the invoices
+    const payment = await paymentsCollection.findOne({ stripeSessionId: session.id });
+    const recorded =
+      session.mode === 'subscription'
+        ? Boolean(session.subscription && (await subscriptionsCollection.findOne({ stripeSubscriptionId: session.subscription })))
+        : payment?.status === 'paid';
+
+    res.send({ paymentStatus: session.payment_status, recorded, payment });
+  };
+
+  const paymentStatusAccess = [verifyJwtToken, requirePermission(P.PAYMENT_READ_OWN, P.PAYMENT_READ_ALL)];
+
+  app.get('/payment-success', paymentStatusAccess, paymentStatusHandler);
+  // older clients still call it with PATCH
+  app.patch('/payment-success', paymentStatusAccess, paymentStatusHandler);
+
+  // admins see every payment, tutors the ones paying them, students their own
+  const paymentVisibility = ({ uid, userType }) =>
+    hasPermission(userType, P.PAYMENT_READ_ALL) ? {} : userType === 'teacher' ? { tutorId: uid } : { studentId: uid };
+
+  // payment history
+  app.get('/payment-history', verifyJwtToken, requirePermission(P.PAYMENT_READ_OWN, P.PAYMENT_READ_ALL), async (req, res) => {
+    const filter = paymentVisibility(req.decoded);
+
+    // ?tuitionId= lists the billing periods of one tuition
+    if (req.query.tuitionId) filter.tuitionId = String(req.query.tuitionId);
+
+    // ?review=pending lists paid checkouts the workflow could not turn into a hire
+    if (req.query.review) filter['review.status'] = String(req.query.review);
+
+    const result = await paymentsCollection.find(filter).sort({ 'billingPeriod.start': -1, paidAt: -1 }).toArray();
+    res.send(result);
+  });
+
+  // a started checkout holds the tuition while the student is on stripe's page, so a second one can't be paid alongside it.
+  // stripe wants at least 30 minutes before a session expires
+  const CHECKOUT_HOLD_MS = 35 * 60 * 1000;
+
+  const hasOpenCheckout = (tuition, now = new Date()) => Boolean(tuition?.checkout && tuition.checkout.expiresAt > now);
+
+  // create checkout session (student)
+  app.post(
+    '/create-checkout-session',
+    verifyJwtToken,
+    requirePermission(P.PAYMENT_CREATE),
+    checkoutLimiter,
+    validateBody(schemas.checkout),
+    async (req, res) => {
+      const { uid } = req.decoded;
+
+      const { tuitionId, applicationId, billing = 'one_time' } = req.body;
+      const monthly = billing === 'monthly';
+
+      const tuition = await tuitionsCollection.findOne({ _id: new ObjectId(tuitionId), studentId: uid });
+      if (!tuition) return res.status(404).send({ message: 'Tuition not found or not yours' });
+
+      const application = await tuitionApplications.findOne({ _id: new ObjectId(applicationId), tuitionId: tuition._id });
+      if (!application) return res.status(404).send({ message: 'Application not found for this tuition' });
+
+      if (tuition.paymentStatus === 'paid' || application.paymentStatus === 'paid') {
+        return res.status(409).send({ message: 'This tuition is already paid' });
+      }
+
+      const tuitionStatus = currentTuitionStatus(tuition);
+
+      // only the tutor the student selected can be paid, selecting locks the tuition to that one application
+      if (tuitionStatus !== TUITION_STATUS.TUTOR_SELECTED) {
+        return res.status(409).send({ message: `Tuition is ${tuitionStatus}, select a tutor before paying` });
+      }
+
+      if (currentApplicationStatus(application) !== APPLICATION_STATUS.SELECTED) {
+        return res.status(409).send({ message: 'Only the selected application can be paid' });
+      }
+
+      const salary = parseInt(application.expectedSalary ?? tuition.budget, 10);
+
+      if (!Number.isFinite(salary) || salary <= 0) {
+        return res.status(400).send({ message: 'No valid salary found for this application' });
+      }
+
+      const { tutorAmount, adminFee } = computePaymentSplit(salary);
+      const student = await usersCollection.findOne({ firebaseUID: uid });
+
+      const metadata = {
+        tuitionId: tuition._id.toString(),
+        applicationId: application._id.toString(),
+        tutorId: application.tutorId,
+        studentId: uid,
+        tuitionTitle: tuition.title,
+        studentName: student?.name,
+        studentEmail: student?.email,
+        salary: String(salary),
+        tutorAmount: String(tutorAmount),
+        adminFee: String(adminFee),
+      };
+
+      // the filter lets only one of two concurrent checkouts take the hold
+      const now = new Date();
+      const expiresAt = new Date(now.getTime() + CHECKOUT_HOLD_MS);
+
+      const held = await tuitionsCollection.updateOne(
+        { _id: tuition._id, status: tuition.status, $or: [{ checkout: null }, { 'checkout.expiresAt': { $lte: now } }] },
+        { $set: { checkout: { applicationId: application._id, startedAt: now, expiresAt } } }
+      );
+
+      if (held.matchedCount === 0) {
+        return res.status(409).send({ message: 'A checkout for this tuition is already in progress' });
+      }
+
+      let session;
+
+      try {
+        session = await paymentGateway.createCheckoutSession({
+          line_items: [
+            {
+              price_data: {
+                currency: 'bdt',
+                unit_amount: salary * 100,
+                product_data: { name: tuition.title },
+                ...(monthly && { recurring: { interval: 'month' } }),
+              },
+              quantity: 1,
+            },
+          ],
+          customer_email: student?.email,
+          mode: monthly ? 'subscription' : 'payment',
+          metadata,
+          // copied onto every invoice of the subscription
+          ...(monthly && { subscription_data: { metadata } }),
+          success_url: `${site}/dashboard/payment-success?session_id={CHECKOUT_SESSION_ID}`,
+          cancel_url: `${site}/dashboard/payment-cancelled`,
+          // the session ends with the hold, stripe sends checkout.session.expired
+          expires_at: Math.floor(expiresAt.getTime() / 1000),
+        });
+      } catch (err) {
+        await tuitionsCollection.updateOne({ _id: tuition._id, 'checkout.startedAt': now }, { $unset: { checkout: '' } });
+        throw err;
+      }
+
+      await tuitionsCollection.updateOne({ _id: tuition._id, 'checkout.startedAt': now }, { $set: { 'checkout.sessionId': session.id } });
+
+      res.send({ url: session.url });
+    }
+  );
+
+  // monthly billing subscriptions (student sees theirs, tutor the ones paying them, admin all)
+  app.get('/subscriptions', verifyJwtToken, requirePermission(P.PAYMENT_READ_OWN, P.PAYMENT_READ_ALL), async (req, res) => {
+    const filter = paymentVisibility(req.decoded);
+    const result = await subscriptionsCollection.find(filter).sort({ createdAt: -1 }).toArray();
+    res.send(result);
+  });
+
+  // the subscription when the caller is its student or an admin
+  const findManagedSubscription = async (id, { uid, userType }) => {
+    const subscription = await subscriptionsCollection.findOne({ _id: new ObjectId(id) });
+    if (!subscription) return null;
+
+    return subscription.studentId === uid || hasPermission(userType, P.PAYMENT_READ_ALL) ? subscription : null;
+  };
+
+  // stripe sends customer.subscription.updated afterwards, the local status is set right away for the ui
+  const subscriptionAction =
+    (action, { allowed, status }) =>
+    async (req, res) => {
+      const subscription = await findManagedSubscription(req.params.id, req.decoded);
+      if (!subscription) return res.status(404).send({ message: 'Subscription not found' });
+
+      if (!allowed.includes(subscription.status)) {
+        return res.status(409).send({ message: `Subscription is ${subscription.status}, it can not be ${status}` });
+      }
+
+      await auditLog.record({
+        ...requestContext(req),
+        action: AUDIT_ACTIONS.SUBSCRIPTION_UPDATE,
+        target: { type: 'subscription', id: subscription._id },
+        changes: { status: { from: subscription.status, to: status } },
+        meta: { stripeSubscriptionId: subscription.stripeSubscriptionId, tuitionId: subscription.tuitionId },
+      });
+
+      await action(subscription, req.body || {});
+
+      const updated = await subscriptionsCollection.findOneAndUpdate(
+        { _id: subscription._id },
+        { $set: { status, updatedAt: new Date() }, $push: { history: { status, by: req.decoded.uid, at: new Date() } } },
+        { returnDocument: 'after' }
+      );
+
+      res.send(updated);
+    };
+
+  app.post(
+    '/subscriptions/:id/pause',
+    verifyJwtToken,
+    requirePermission(P.SUBSCRIPTION_MANAGE),
+    subscriptionAction((subscription) => paymentGateway.pauseSubscription(subscription.stripeSubscriptionId), {
+      allowed: ['active', 'past_due'],
+      status: 'paused',
+    })
+  );
+
+  app.post(
+    '/subscriptions/:id/resume',
+    verifyJwtToken,
+    requirePermission(P.SUBSCRIPTION_MANAGE),
+    subscriptionAction((subscription) => paymentGateway.resumeSubscription(subscription.stripeSubscriptionId), {
+      allowed: ['paused'],
+      status: 'active',
+    })
+  );
+
+  // ends now, or with { atPeriodEnd: true } after the month already paid for
+  app.post(
+    '/subscriptions/:id/cancel',
+    verifyJwtToken,
+    requirePermission(P.SUBSCRIPTION_MANAGE),
+    validateBody(schemas.subscriptionCancel),
+    async (req, res, next) => {
+      if (!req.body.atPeriodEnd) return next();
+
+      const subscription = await findManagedSubscription(req.params.id, req.decoded);
+      if (!subscription) return res.status(404).send({ message: 'Subscription not found' });
+
+      if (!['active', 'past_due', 'paused'].includes(subscription.status)) {
+        return res.status(409).send({ message: `Subscription is ${subscription.status}, it can not be cancelled` });
+      }
+
+      await auditLog.record({
+        ...requestContext(req),
+        action: AUDIT_ACTIONS.SUBSCRIPTION_UPDATE,
+        target: { type: 'subscription', id: subscription._id },
+        changes: { cancelAtPeriodEnd: { from: Boolean(subscription.cancelAtPeriodEnd), to: true } },
+        meta: { stripeSubscriptionId: subscription.stripeSubscriptionId, tuitionId: subscription.tuitionId, reason: req.body.reason },
+      });
+
+      await paymentGateway.cancelSubscription(subscription.stripeSubscriptionId, { atPeriodEnd: true });
+
+      const updated = await subscriptionsCollection.findOneAndUpdate(
+        { _id: subscription._id },
+        {
+          $set: { cancelAtPeriodEnd: true, cancelReason: req.body.reason, updatedAt: new Date() },
+          $push: { history: { status: 'cancel_at_period_end', by: req.decoded.uid, at: new Date() } },
+        },
+        { returnDocument: 'after' }
+      );
+
+      res.send(updated);
+    },
+    subscriptionAction((subscription) => paymentGateway.cancelSubscription(subscription.stripeSubscriptionId), {
+      allowed: ['active', 'past_due', 'paused', 'unpaid'],
+      status: 'canceled',
+    })
+  );
+
+  // tutor updates their application
+  app.patch(
+    '/application/:id',
+    verifyJwtToken,
+    requirePermission(P.APPLICATION_MANAGE_OWN),
+    validateBody(schemas.applicationUpdate),
+    async (req, res) => {
+      const { uid } = req.decoded;
+
+      const id = req.params.id;
+
+      if (Object.keys(req.body).length === 0) {
+        return res.status(400).send({ message: 'Nothing to update' });
+      }
+
+      const application = await tuitionApplications.findOne({ _id: new ObjectId(id), tutorId: uid });
+
+      if (!application) {
+        return res.status(404).send({ message: 'Application not found or not yours' });
+      }
+
+      const applyStatus = currentApplicationStatus(application);
+
+      if (LOCKED_STATUSES.includes(applyStatus)) {
+        return res.status(409).send({ message: `Application is ${applyStatus}, it can not be changed` });
+      }
+
+      const query = { _id: application._id, applyStatus: application.applyStatus };
+      const updatedDoc = { $set: req.body };
+
+      const result = await tuitionApplications.updateOne(query, updatedDoc);
+
+      if (result.matchedCount === 0) {
+        return res.status(409).send({ message: 'Application changed, please try again' });
+      }
+
+      res.send(result);
+    }
+  );
+
+  // tutor withdraws their application
+  app.patch(
+    '/application/:id/withdraw',
+    verifyJwtToken,
+    requirePermission(P.APPLICATION_MANAGE_OWN),
+    validateBody(schemas.reason),
+    async (req, res) => {
+      const { uid, userType } = req.decoded;
+
+      const application = await tuitionApplications.findOne({ _id: new ObjectId(req.params.id), tutorId: uid });
+
+      if (!application) {
+        return res.status(404).send({ message: 'Application not found or not yours' });
+      }
+
+      const applyStatus = currentApplicationStatus(application);
+
+      if (LOCKED_STATUSES.includes(applyStatus) || !canTransitionApplication(applyStatus, APPLICATION_STATUS.WITHDRAWN)) {
+        return res.status(409).send({ message: `Application is ${applyStatus}, it can not be withdrawn` });
+      }
+
+      const result = await transitionApplication(application, APPLICATION_STATUS.WITHDRAWN, {
+        actor: { uid, userType },
+        reason: req.body.reason,
+      });
+
+      if (!result) return res.status(409).send({ message: 'Application changed, please try again' });
+      res.send(result);
+    }
+  );
+
+  // tutor delete application
+  app.delete('/application/:id', verifyJwtToken, requirePermission(P.APPLICATION_MANAGE_OWN), async (req, res) => {
+    const { uid } = req.decoded;
+
+    const id = req.params.id;
+    const application = await tuitionApplications.findOne({ _id: new ObjectId(id), tutorId: uid });
+
+    if (!application) {
+      return res.status(404).send({ message: 'Application not found or not owned by this tutor' });
+    }
+
+    const applyStatus = currentApplicationStatus(application);
+
+    if (LOCKED_STATUSES.includes(applyStatus)) {
+      return res.status(409).send({ message: `Application is ${applyStatus}, it can not be deleted` });
+    }
+
+    const result = await tuitionApplications.deleteOne({ _id: application._id, applyStatus: application.applyStatus });
+
+    if (result.deletedCount === 0) {
+      return res.status(409).send({ message: 'Application changed, please try again' });
+    }
+
+    res.send(result);
+  });
+
+  // JWT from firebase token
+  app.post('/api/auth/jwt', authLimiter, validateBody(schemas.firebaseToken), async (req, res) => {
+    const firebaseToken = req.body.token;
+
+    if (!auth) throw new ServiceUnavailableError('Firebase is not configured');
+
+    let decodedToken;
+    try {
+      decodedToken = await auth.verifyIdToken(firebaseToken);
+    } catch (err) {
+      throw new UnauthorizedError('Invalid Firebase token');
+    }
+
+    const uid = decodedToken.uid;
+
+    const user = await usersCollection.findOne({ firebaseUID: uid });
+    if (!user) return res.status(404).send({ message: 'User profile not found in database' });
+
+    if (!process.env.ACCESS_TOKEN_SECRET) return res.status(500).send({ message: 'Server configuration error.' });
+
+    const tokens = await issueTokens(user);
+
+    // lets the client offer to undo a scheduled deletion
+    res.send({ ...tokens, deletionScheduledFor: user.deletion?.scheduledFor });
+  });
+
+  // rotate refresh token
+  app.post('/api/auth/refresh', authLimiter, validateBody(schemas.refreshToken), async (req, res) => {
+    const tokenHash = hashToken(req.body.refreshToken);
+    const now = new Date();
+
+    const stored = await refreshTokensCollection.findOneAndUpdate({ tokenHash, revokedAt: null }, { $set: { revokedAt: now } });
+
+    if (!stored) {
+      // a revoked token coming back means it was stolen, end the whole login
+      const reused = await refreshTokensCollection.findOne({ tokenHash });
+      if (reused) await revokeRefreshTokens({ family: reused.family });
+
+      return res.status(401).send({ message: 'Invalid refresh token' });
+    }
+
+    if (stored.expiresAt < now) return res.status(401).send({ message: 'Refresh token expired' });
+
+    const user = await usersCollection.findOne({ firebaseUID: stored.uid });
+
+    if (!user || (user.tokenVersion || 0) !== stored.tokenVersion) {
+      await revokeRefreshTokens({ family: stored.family });
+      return res.status(401).send({ message: 'Token revoked' });
+    }
+
+    const tokens = await issueTokens(user, stored.family);
+    await refreshTokensCollection.updateOne({ _id: stored._id }, { $set: { replacedBy: hashToken(tokens.refreshToken) } });
+
+    res.send(tokens);
+  });
+
+  // logout (this device)
+  app.post('/api/auth/logout', validateBody(schemas.refreshToken), async (req, res) => {
+    const stored = await refreshTokensCollection.findOne({ tokenHash: hashToken(req.body.refreshToken) });
+    if (stored) await revokeRefreshTokens({ family: stored.family });
+
+    res.send({ message: 'Logged out' });
+  });
+
+  // logout everywhere
+  app.post('/api/auth/logout-all', verifyJwtToken, requirePermission(P.PROFILE_MANAGE), async (req, res) => {
+    await revokeUserSessions(req.decoded.uid);
+    res.send({ message: 'Logged out from all devices' });
+  });
+
+  // ---------- reviews ----------
+
+  // review the hired tutor after a completed tuition (student)
+  app.post('/tuitions/:id/review', verifyJwtToken, requirePermission(P.REVIEW_CREATE), validateBody(schemas.review), async (req, res) => {
+    const { uid } = req.decoded;
+
+    const tuition = await tuitionsCollection.findOne({ _id: new ObjectId(req.params.id), studentId: uid });
+    if (!tuition) return res.status(404).send({ message: 'Tuition not found or not yours' });
+
+    if (currentTuitionStatus(tuition) !== TUITION_STATUS.COMPLETED) {
+      return res.status(409).send({ message: 'Only completed tuitions can be reviewed' });
+    }
+
+    const application = await tuitionApplications.findOne({ tuitionId: tuition._id, paymentStatus: 'paid' });
+    if (!application) return res.status(409).send({ message: 'No paid tutor found for this tuition' });
+
+    const existing = await reviewsCollection.findOne({ tuitionId: tuition._id });
+    if (existing) return res.status(409).send({ message: 'You already reviewed this tuition' });
+
+    const student = await usersCollection.findOne({ firebaseUID: uid });
+
+    const review = {
+      tuitionId: tuition._id,
+      applicationId: application._id,
+      tutorId: application.tutorId,
+      studentId: uid,
+      studentName: student?.name,
+      rating: req.body.rating,
+      comment: req.body.comment,
+      reply: null,
+      status: 'published',
+      createdAt: new Date(),
+    };
+
+    // the unique index settles two reviews racing past the check above
+    let result;
+
+    try {
+      result = await reviewsCollection.insertOne(review);
+    } catch (err) {
+      if (isDuplicateKeyError(err)) return res.status(409).send({ message: 'You already reviewed this tuition' });
+      throw err;
+    }
+
+    await refreshTutorRating(application.tutorId);
+
+    res.send(result);
+  });
+
+  // reply to a review (teacher)
+  app.patch(
+    '/reviews/:id/reply',
+    verifyJwtToken,
+    requirePermission(P.REVIEW_REPLY),
+    validateBody(schemas.reviewReply),
+    async (req, res) => {
+      const { uid } = req.decoded;
+
+      const result = await reviewsCollection.updateOne(
+        { _id: new ObjectId(req.params.id), tutorId: uid },
+        { $set: { reply: { text: req.body.reply, at: new Date() } } }
+      );
+
+      if (result.matchedCount === 0) {
+        return res.status(404).send({ message: 'Review not found or not about you' });
+      }
+
+      res.send(result);
+    }
+  );
+
+  // published reviews of a tutor
+  app.get('/public/tutors/:uid/reviews', async (req, res) => {
+    const pagination = parsePagination(req.query);
+    const query = { tutorId: req.params.uid, status: 'published' };
+
+    const [data, total] = await Promise.all([
+      reviewsCollection
+        .find(query, { projection: { studentId: 0, moderation: 0 } })
+        .sort({ createdAt: -1 })
+        .skip(pagination.skip)
+        .limit(pagination.limit)
+        .toArray(),
+      reviewsCollection.countDocuments(query),
+    ]);
+
+    res.send(pageResponse(data, total, pagination));
+  });
+
+  // tutor profile with rating
+  app.get('/public/tutors/:uid', async (req, res) => {
+    const tutor = await usersCollection.findOne(
+      { firebaseUID: req.params.uid, userType: 'teacher', deletion: { $exists: false } },
+      { projection: PUBLIC_TUTOR_PROJECTION }
+    );
+
+    if (!tutor) return res.status(404).send({ message: 'Tutor not found' });
+
+    res.send({ ...tutor, rating: tutor.rating || { average: 0, count: 0 } });
+  });
+
+  // all reviews, ?status=published|hidden (admin/moderator)
+  app.get('/admin/reviews', verifyJwtToken, requirePermission(P.REVIEW_MODERATE), async (req, res) => {
+    const pagination = parsePagination(req.query);
+    const query = ['published', 'hidden'].includes(req.query.status) ? { status: req.query.status } : {};
+
+    const [data, total] = await Promise.all([
+      reviewsCollection.find(query).sort({ createdAt: -1 }).skip(pagination.skip).limit(pagination.limit).toArray(),
+      reviewsCollection.countDocuments(query),
+    ]);
+
+    res.send(pageResponse(data, total, pagination));
+  });
+
+  // hide or publish a review (admin/moderator)
+  app.patch(
+    '/admin/reviews/:id',
+    verifyJwtToken,
+    requirePermission(P.REVIEW_MODERATE),
+    validateBody(schemas.reviewModeration),
+    async (req, res) => {
+      const { status, reason } = req.body;
+
+      const moderation = { by: req.decoded.uid, reason, at: new Date() };
+
+      const previous = await reviewsCollection.findOne({ _id: new ObjectId(req.params.id) });
+
+      if (!previous) return res.status(404).send({ message: 'Review not found' });
+
+      await auditLog.record({
+        ...requestContext(req),
+        action: AUDIT_ACTIONS.REVIEW_MODERATE,
+        target: { type: 'review', id: previous._id },
+        before: previous,
+        after: { status },
+        meta: { reason, tutorId: previous.tutorId },
+      });
+
+      await reviewsCollection.updateOne({ _id: previous._id }, { $set: { status, moderation } });
+
+      await refreshTutorRating(previous.tutorId);
+      res.send({ ...previous, status, moderation });
+    }
+  );
+
+  // ---------- messages ----------
+  // one thread per application, between its student and tutor
+  const MESSAGE_PAGE_SIZE = 30;
+
+  // the application when the caller may see its thread, otherwise null
+  const findConversation = async (applicationId, { uid, userType }) => {
+    const application = await tuitionApplications.findOne({ _id: new ObjectId(applicationId) });
+    if (!application) return null;
+
+    const isParty = application.studentId === uid || application.tutorId === uid;
+    return isParty || hasPermission(userType, P.MESSAGE_READ_ALL) ? application : null;
+  };
+
+  // message history, newest page first, ?before=<messageId> for older pages
+  app.get('/applications/:id/messages', verifyJwtToken, requirePermission(P.MESSAGE_SEND, P.MESSAGE_READ_ALL), async (req, res) => {
+    const application = await findConversation(req.params.id, req.decoded);
+    if (!application) return res.status(404).send({ message: 'Conversation not found' });
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || MESSAGE_PAGE_SIZE, 1), 100);
+    const query = { applicationId: application._id };
+
+    if (req.query.before) {
+      if (!ObjectId.isValid(req.query.before)) return res.status(400).send({ message: 'before must be a valid id' });
+      query._id = { $lt: new ObjectId(req.query.before) };
+    }
+
+    const messages = await messagesCollection
+      .find(query)
+      .sort({ _id: -1 })
+      .limit(limit + 1)
+      .toArray();
+
+    const hasMore = messages.length > limit;
+    const data = messages.slice(0, limit).reverse();
+
+    res.send({ data, hasMore, nextBefore: hasMore ? data[0]._id : null });
+  });
+
+  // send a message (student/tutor of the application)
+  app.post(
+    '/applications/:id/messages',
+    verifyJwtToken,
+    requirePermission(P.MESSAGE_SEND),
+    validateBody(schemas.message),
+    async (req, res) => {
+      const { uid, userType } = req.decoded;
+
+      const application = await tuitionApplications.findOne({ _id: new ObjectId(req.params.id) });
+
+      if (!application || (application.studentId !== uid && application.tutorId !== uid)) {
+        return res.status(404).send({ message: 'Conversation not found' });
+      }
+
+      const applyStatus = currentApplicationStatus(application);
+
+      if (applyStatus === APPLICATION_STATUS.REJECTED || applyStatus === APPLICATION_STATUS.WITHDRAWN) {
+        return res.status(409).send({ message: `Application is ${applyStatus}, messaging is closed` });
+      }
+
+      const message = {
+        applicationId: application._id,
+        participants: [application.studentId, application.tutorId],
+        senderId: uid,
+        senderRole: userType,
+        body: req.body.body,
+        readBy: [uid],
+        createdAt: new Date(),
+      };
+
+      const result = await messagesCollection.insertOne(message);
+      res.send({ ...message, _id: result.insertedId });
+    }
+  );
+
+  // mark the whole thread read for the caller
+  app.post('/applications/:id/messages/read', verifyJwtToken, requirePermission(P.MESSAGE_SEND), async (req, res) => {
+    const { uid } = req.decoded;
+
+    const application = await findConversation(req.params.id, req.decoded);
+    if (!application) return res.status(404).send({ message: 'Conversation not found' });
+
+    const result = await messagesCollection.updateMany(
+      { applicationId: application._id, participants: uid, readBy: { $ne: uid } },
+      { $addToSet: { readBy: uid } }
+    );
+
+    res.send(result);
+  });
+
+  // unread counts per application for the caller
+  app.get('/messages/unread', verifyJwtToken, requirePermission(P.MESSAGE_SEND), async (req, res) => {
+    const { uid } = req.decoded;
+
+    const threads = await messagesCollection
+      .aggregate([
+        { $match: { participants: uid, readBy: { $ne: uid } } },
+        { $group: { _id: '$applicationId', unread: { $sum: 1 }, lastMessageAt: { $max: '$createdAt' } } },
+        { $sort: { lastMessageAt: -1 } },
+        { $project: { _id: 0, applicationId: '$_id', unread: 1, lastMessageAt: 1 } },
+      ])
+      .toArray();
+
+    const total = threads.reduce((sum, thread) => sum + thread.unread, 0);
+    res.send({ total, threads });
+  });
+
+  // ---------- notifications ----------
+
+  // own notifications, ?unread=true for unread only
+  app.get('/notifications', verifyJwtToken, requirePermission(P.PROFILE_MANAGE), async (req, res) => {
+    const pagination = parsePagination(req.query);
+    const query = { uid: req.decoded.uid, ...(req.query.unread === 'true' && { read: false }) };
+
+    const [data, total] = await Promise.all([
+      notificationsCollection.find(query).sort({ createdAt: -1 }).skip(pagination.skip).limit(pagination.limit).toArray(),
+      notificationsCollection.countDocuments(query),
+    ]);
+
+    res.send(pageResponse(data, total, pagination));
+  });
+
+  app.get('/notifications/unread-count', verifyJwtToken, requirePermission(P.PROFILE_MANAGE), async (req, res) => {
+    const count = await notificationsCollection.countDocuments({ uid: req.decoded.uid, read: false });
+    res.send({ count });
+  });
+
+  app.patch('/notifications/read-all', verifyJwtToken, requirePermission(P.PROFILE_MANAGE), async (req, res) => {
+    const result = await notificationsCollection.updateMany(
+      { uid: req.decoded.uid, read: false },
+      { $set: { read: true, readAt: new Date() } }
+    );
+    res.send(result);
+  });
+
+  app.patch('/notifications/:id/read', verifyJwtToken, requirePermission(P.PROFILE_MANAGE), async (req, res) => {
+    const result = await notificationsCollection.updateOne(
+      { _id: new ObjectId(req.params.id), uid: req.decoded.uid },
+      { $set: { read: true, readAt: new Date() } }
+    );
+
+    if (result.matchedCount === 0) return res.status(404).send({ message: 'Notification not found' });
+    res.send(result);
+  });
+
+  // notification preferences (me)
+  app.get('/user/me/notification-preferences', verifyJwtToken, requirePermission(P.PROFILE_MANAGE), async (req, res) => {
+    const user = await usersCollection.findOne({ firebaseUID: req.decoded.uid }, { projection: { notificationPreferences: 1 } });
+    if (!user) return res.status(404).send({ message: 'User not found' });
+
+    res.send(preferencesFor(user));
+  });
+
+  // turn in-app / email on or off for one event
+  app.patch(
+    '/user/me/notification-preferences',
+    verifyJwtToken,
+    requirePermission(P.PROFILE_MANAGE),
+    validateBody(schemas.notificationPreference),
+    async (req, res) => {
+      const { event, inApp, email } = req.body;
+
+      if (!isNotificationEvent(event)) {
+        return res.status(400).send({ message: `event must be one of ${Object.values(NOTIFICATION_EVENTS).join(', ')}` });
+      }
+
+      const set = {};
+      if (inApp !== undefined) set[`notificationPreferences.${event}.inApp`] = inApp;
+      if (email !== undefined) set[`notificationPreferences.${event}.email`] = email;
+
+      if (Object.keys(set).length === 0) {
+        return res.status(400).send({ message: 'Nothing to update' });
+      }
+
+      const user = await usersCollection.findOneAndUpdate({ firebaseUID: req.decoded.uid }, { $set: set }, { returnDocument: 'after' });
+      if (!user) return res.status(404).send({ message: 'User not found' });
+
+      res.send(preferencesFor(user));
+    }
+  );
+
+  // ---------- refunds & disputes ----------
+
+  // refund a payment fully or partly (admin)
+  app.post(
+    '/admin/payments/:sessionId/refund',
+    verifyJwtToken,
+    requirePermission(P.PAYMENT_REFUND),
+    validateBody(schemas.refund),
+    async (req, res) => {
+      const payment = await paymentsCollection.findOne({ stripeSessionId: req.params.sessionId });
+      if (!payment) return res.status(404).send({ message: 'Payment not found' });
+
+      if (!['paid', 'partially_refunded'].includes(payment.status)) {
+        return res.status(409).send({ message: `Payment is ${payment.status}, it can not be refunded` });
+      }
+
+      const refundable = refundableAmount(payment);
+      const amount = req.body.amount ?? refundable;
+
+      if (amount > refundable) {
+        return res.status(400).send({ message: `At most ${refundable} can be refunded` });
+      }
+
+      const { actor, ...context } = requestContext(req);
+      const result = await refundPayment(payment, { ...req.body, amount, actor, context });
+      res.send(result);
+    }
+  );
+
+  // open a dispute on own payment (student)
+  app.post(
+    '/payments/:sessionId/disputes',
+    verifyJwtToken,
+    requirePermission(P.DISPUTE_OPEN),
+    validateBody(schemas.dispute),
+    async (req, res) => {
+      const { uid } = req.decoded;
+
+      const payment = await paymentsCollection.findOne({ stripeSessionId: req.params.sessionId, studentId: uid });
+      if (!payment) return res.status(404).send({ message: 'Payment not found' });
+
+      if (!['paid', 'partially_refunded'].includes(payment.status)) {
+        return res.status(409).send({ message: `Payment is ${payment.status}, it can not be disputed` });
+      }
+
+      const open = await disputesCollection.findOne({ stripeSessionId: payment.stripeSessionId, status: { $in: ['open', 'resolving'] } });
+      if (open) return res.status(409).send({ message: 'There is already an open dispute for this payment' });
+
+      const dispute = {
+        paymentId: payment._id,
+        stripeSessionId: payment.stripeSessionId,
+        tuitionId: payment.tuitionId,
+        applicationId: payment.applicationId,
+        studentId: uid,
+        tutorId: payment.tutorId,
+        reason: req.body.reason,
+        status: 'open',
+        createdAt: new Date(),
+      };
+
+      const result = await disputesCollection.insertOne(dispute);
+      await paymentsCollection.updateOne({ _id: payment._id }, { $set: { disputeStatus: 'open' } });
+
+      res.send(result);
+    }
+  );
+
+  // disputes, own for students and all for admin, ?status=open|resolved|rejected
+  app.get('/disputes', verifyJwtToken, requirePermission(P.DISPUTE_OPEN, P.DISPUTE_RESOLVE), async (req, res) => {
+    const { uid, userType } = req.decoded;
+    const pagination = parsePagination(req.query);
+
+    const query = hasPermission(userType, P.DISPUTE_RESOLVE) ? {} : { studentId: uid };
+    if (['open', 'resolved', 'rejected'].includes(req.query.status)) query.status = req.query.status;
+
+    const [data, total] = await Promise.all([
+      disputesCollection.find(query).sort({ createdAt: -1 }).skip(pagination.skip).limit(pagination.limit).toArray(),
+      disputesCollection.countDocuments(query),
+    ]);
+
+    res.send(pageResponse(data, total, pagination));
+  });
+
+  // resolve a dispute with a refund or reject it (admin)
+  app.patch(
+    '/admin/disputes/:id/resolve',
+    verifyJwtToken,
+    requirePermission(P.DISPUTE_RESOLVE),
+    validateBody(schemas.disputeResolution),
+    async (req, res) => {
+      const { outcome, note, tuitionAction } = req.body;
+      const actor = { uid: req.decoded.uid, userType: req.decoded.userType };
+
+      const dispute = await disputesCollection.findOne({ _id: new ObjectId(req.params.id) });
+      if (!dispute) return res.status(404).send({ message: 'Dispute not found' });
+
+      if (dispute.status !== 'open') {
+        return res.status(409).send({ message: `Dispute is already ${dispute.status}` });
+      }
+
+      let payment = null;
+      let amount = null;
+
+      if (outcome === 'refund') {
+        payment = await paymentsCollection.findOne({ _id: dispute.paymentId });
+        const refundable = payment ? refundableAmount(payment) : 0;
+        amount = req.body.amount ?? refundable;
+
+        if (!payment || !['paid', 'partially_refunded'].includes(payment.status) || refundable <= 0) {
+          return res.status(409).send({ message: 'Payment can not be refunded anymore' });
+        }
+
+        if (amount > refundable) {
+          return res.status(400).send({ message: `At most ${refundable} can be refunded` });
+        }
+      }
+
+      const status = outcome === 'refund' ? 'resolved' : 'rejected';
+
+      // claimed before anything is refunded, a second admin resolving the same dispute gets a 409 instead of a second refund
+      const claimed = await disputesCollection.findOneAndUpdate(
+        { _id: dispute._id, status: 'open' },
+        { $set: { status: 'resolving', claimedBy: actor, claimedAt: new Date() } }
+      );
+      if (!claimed) return res.status(409).send({ message: 'Dispute is already being resolved' });
+
+      let refund = null;
+
+      try {
+        await auditLog.record({
+          ...requestContext(req),
+          action: AUDIT_ACTIONS.DISPUTE_RESOLVE,
+          target: { type: 'dispute', id: dispute._id },
+          changes: { status: { from: dispute.status, to: status } },
+          meta: { outcome, note, stripeSessionId: dispute.stripeSessionId, refund: amount },
+        });
+
+        if (payment) {
+          refund = await refundPayment(payment, {
+            amount,
+            reason: `dispute ${dispute._id}`,
+            tuitionAction,
+            actor,
+            context: requestContext(req),
+            idempotencyKey: `dispute:${dispute._id}`,
+          });
+        }
+      } catch (err) {
+        // nothing was refunded (or stripe answers the retry with the same refund), the dispute can be resolved again
+        await disputesCollection.updateOne(
+          { _id: dispute._id, status: 'resolving' },
+          { $set: { status: 'open' }, $unset: { claimedBy: '', claimedAt: '' } }
+        );
+        throw err;
+      }
+
+      const result = await disputesCollection.updateOne(
+        { _id: dispute._id, status: 'resolving' },
+        {
+          $set: { status, resolution: { outcome, note, refund: refund?.refund || null, by: actor, at: new Date() } },
+          $unset: { claimedBy: '', claimedAt: '' },
+        }
+      );
+      await paymentsCollection.updateOne({ _id: dispute.paymentId }, { $set: { disputeStatus: status } });
+
+      res.send({ result, refund });
+    }
+  );
+
+  // ---------- earnings & payouts ----------
+
+  // own balance: earned, refunded, paid out and still owed (teacher)
+  app.get('/earnings', verifyJwtToken, requirePermission(P.EARNINGS_READ_OWN), async (req, res) => {
+    res.send(await tutorLedgerSummary(req.decoded.uid));
+  });
+
+  // own payout history (teacher)
+  app.get('/earnings/payouts', verifyJwtToken, requirePermission(P.EARNINGS_READ_OWN), async (req, res) => {
+    const result = await ledgerCollection.find({ type: 'payout', tutorId: req.decoded.uid }).sort({ createdAt: -1 }).toArray();
+    res.send(result.map(({ _id, payout, createdAt }) => ({ _id, ...payout, settledAt: createdAt })));
+  });
+
+  // monthly statement, ?month=YYYY-MM (teacher)
+  app.get('/earnings/statement', verifyJwtToken, requirePermission(P.EARNINGS_READ_OWN), async (req, res) => {
+    const { uid } = req.decoded;
+    const range = parseMonth(req.query.month);
+
+    if (!range) return res.status(400).send({ message: 'month must look like YYYY-MM' });
+
+    const account = tutorPayableAccount(uid);
+    const opening = await tutorLedgerSummary(uid, { $lt: range.start });
+
+    const entries = await ledgerCollection
+      .find({ 'lines.account': account, createdAt: { $gte: range.start, $lt: range.end } })
+      .sort({ createdAt: 1 })
+      .toArray();
+
+    let balance = opening.balance;
+
+    const lines = entries.map((entry) => {
+      const { debit, credit } = entry.lines.find((l) => l.account === account);
+      balance += credit - debit;
+
+      return { date: entry.createdAt, type: entry.type, reference: entry.reference, credit, debit, balance };
+    });
+
+    res.send({ month: req.query.month, openingBalance: opening.balance, closingBalance: balance, lines });
+  });
+
+  // tutors that are still owed money (admin)
+  app.get('/admin/payouts/pending', verifyJwtToken, requirePermission(P.PAYOUT_MANAGE), async (req, res) => {
+    const result = await ledgerCollection
+      .aggregate([
+        { $unwind: '$lines' },
+        { $match: { 'lines.account': { $regex: '^liability:tutor_payable:' } } },
+        { $group: { _id: '$tutorId', balance: { $sum: { $subtract: ['$lines.credit', '$lines.debit'] } } } },
+        { $match: { balance: { $gt: 0 } } },
+        { $sort: { balance: -1 } },
+        { $lookup: { from: 'users', localField: '_id', foreignField: 'firebaseUID', as: 'tutor' } },
+        { $project: { _id: 0, tutorId: '$_id', balance: 1, name: { $first: '$tutor.name' }, email: { $first: '$tutor.email' } } },
+      ])
+      .toArray();
+
+    res.send(result);
+  });
+
+  // mark money sent to a tutor as settled (admin).
+  // payouts of a tutor are numbered and the number is part of the unique ledger reference,
+  // two payouts made from the same balance get the same number and the second one is refused
+  app.post('/admin/payouts', verifyJwtToken, requirePermission(P.PAYOUT_MANAGE), validateBody(schemas.payout), async (req, res) => {
+    const { tutorId, amount, method, externalReference, note } = req.body;
+    const [{ balance }, previousPayouts] = await Promise.all([
+      tutorLedgerSummary(tutorId),
+      ledgerCollection.countDocuments({ type: 'payout', tutorId }),
+    ]);
+
+    if (amount > balance) {
+      return res.status(400).send({ message: `Tutor is owed ${balance}, can not pay out ${amount}` });
+    }
+
+    const entry = payoutEntry({
+      payoutId: `${tutorId}:${previousPayouts + 1}`,
+      tutorId,
+      amount,
+      method,
+      externalReference,
+      note,
+      settledBy: req.decoded.uid,
+    });
+
+    await auditLog.record({
+      ...requestContext(req),
+      action: AUDIT_ACTIONS.PAYOUT_CREATE,
+      target: { type: 'tutor', id: tutorId },
+      changes: { balance: { from: balance, to: balance - amount } },
+      meta: { reference: entry.reference, amount, method, externalReference },
+    });
+
+    try {
+      const result = await ledgerCollection.insertOne(entry);
+      res.send({ ...result, balance: balance - amount });
+    } catch (err) {
+      if (isDuplicateKeyError(err))
+        throw new ConflictError('Another payout to this tutor was made at the same time, check the balance and try again');
+      throw err;
+    }
+  });
+
+  // ---------- tutor verification ----------
+
+  // submit certificates / national id for review (teacher)
+  app.post(
+    '/verification',
+    verifyJwtToken,
+    requirePermission(P.VERIFICATION_SUBMIT),
+    validateBody(schemas.verification),
+    async (req, res) => {
+      const { uid } = req.decoded;
+
+      const pending = await verificationsCollection.findOne({ tutorId: uid, status: 'pending' });
+      if (pending) return res.status(409).send({ message: 'You already have documents waiting for review' });
+
+      const result = await verificationsCollection.insertOne({
+        tutorId: uid,
+        documents: req.body.documents,
+        status: 'pending',
+        submittedAt: new Date(),
+      });
+
+      res.send(result);
+    }
+  );
+
+  // latest submission and its review (teacher)
+  app.get('/verification', verifyJwtToken, requirePermission(P.VERIFICATION_SUBMIT), async (req, res) => {
+    const [latest] = await verificationsCollection.find({ tutorId: req.decoded.uid }).sort({ submittedAt: -1 }).limit(1).toArray();
+    res.send(latest || null);
+  });
+
+  // review queue, oldest first, ?status=pending|approved|rejected (admin)
+  app.get('/admin/verifications', verifyJwtToken, requirePermission(P.VERIFICATION_REVIEW), async (req, res) => {
+    const pagination = parsePagination(req.query);
+    const status = ['pending', 'approved', 'rejected'].includes(req.query.status) ? req.query.status : 'pending';
+    const query = { status };
+
+    const [data, total] = await Promise.all([
+      verificationsCollection
+        .aggregate([
+          { $match: query },
+          { $sort: { submittedAt: 1 } },
+          { $skip: pagination.skip },
+          { $limit: pagination.limit },
+          { $lookup: { from: 'users', localField: 'tutorId', foreignField: 'firebaseUID', as: 'tutor' } },
+          { $addFields: { tutorName: { $first: '$tutor.name' }, tutorEmail: { $first: '$tutor.email' } } },
+          { $project: { tutor: 0 } },
+        ])
+        .toArray(),
+      verificationsCollection.countDocuments(query),
+    ]);
+
+    res.send(pageResponse(data, total, pagination));
+  });
+
+  // approve or reject a submission (admin)
+  app.patch(
+    '/admin/verifications/:id',
+    verifyJwtToken,
+    requirePermission(P.VERIFICATION_REVIEW),
+    validateBody(schemas.verificationReview),
+    async (req, res) => {
+      const { status, note } = req.body;
+
+      const pending = await verificationsCollection.findOne({ _id: new ObjectId(req.params.id), status: 'pending' });
+
+      if (!pending) return res.status(404).send({ message: 'No pending verification found' });
+
+      await auditLog.record({
+        ...requestContext(req),
+        action: AUDIT_ACTIONS.VERIFICATION_REVIEW,
+        target: { type: 'verification', id: pending._id },
+        changes: { status: { from: 'pending', to: status } },
+        meta: { tutorId: pending.tutorId, note },
+      });
+
+      const verification = await verificationsCollection.findOneAndUpdate(
+        { _id: pending._id, status: 'pending' },
+        { $set: { status, review: { by: req.decoded.uid, note, at: new Date() } } },
+        { returnDocument: 'after' }
+      );
+
+      // another admin reviewed it in between
+      if (!verification) return res.status(409).send({ message: 'Verification was already reviewed' });
+
+      const approved = status === 'approved';
+      await usersCollection.updateOne(
+        { firebaseUID: verification.tutorId },
+        { $set: { verified: approved, verifiedAt: approved ? new Date() : null } }
+      );
+
+      await notifier.notify(verification.tutorId, NOTIFICATION_EVENTS.VERIFICATION_REVIEWED, { status, note });
+
+      res.send(verification);
+    }
+  );
+
+  // platform settings (admin)
+  app.get('/admin/settings', verifyJwtToken, requirePermission(P.SETTINGS_MANAGE), async (req, res) => {
+    res.send(await getPlatformSettings());
+  });
+
+  app.patch(
+    '/admin/settings',
+    verifyJwtToken,
+    requirePermission(P.SETTINGS_MANAGE),
+    validateBody(schemas.platformSettings),
+    async (req, res) => {
+      if (Object.keys(req.body).length === 0) {
+        return res.status(400).send({ message: 'Nothing to update' });
+      }
+
+      const before = await getPlatformSettings();
+
+      await auditLog.record({
+        ...requestContext(req),
+        action: AUDIT_ACTIONS.SETTINGS_UPDATE,
+        target: { type: 'settings', id: 'platform' },
+        before,
+        after: req.body,
+      });
+
+      await settingsCollection.updateOne({ _id: 'platform' }, { $set: req.body }, { upsert: true });
+
+      res.send(await getPlatformSettings());
+    }
+  );
+
+  // ---------- matching ----------
+  // candidates are capped, scoring happens in memory
+  const MATCH_CANDIDATES = 500;
+
+  // open tuitions ranked for the calling tutor, already applied ones left out (teacher)
+  app.get('/recommendations/tuitions', verifyJwtToken, requirePermission(P.APPLICATION_CREATE), async (req, res) => {
+    const { uid } = req.decoded;
+    const pagination = parsePagination(req.query);
+
+    const tutor = await usersCollection.findOne({ firebaseUID: uid });
+    if (!tutor) return res.status(404).send({ message: 'User not found' });
+
+    const appliedIds = await tuitionApplications.distinct('tuitionId', { tutorId: uid });
+
+    const tuitions = await tuitionsCollection
+      .find(
+        { status: TUITION_STATUS.OPEN, postStatus: 'approved', _id: { $nin: appliedIds } },
+        { projection: { studentId: 0, statusHistory: 0 } }
+      )
+      .sort({ createdAt: -1 })
+      .limit(MATCH_CANDIDATES)
+      .toArray();
+
+    const ranked = rankMatches(tuitions.map((tuition) => ({ ...tuition, match: scoreMatch(tutor, tuition) })));
+    res.send(pageResponse(ranked.slice(pagination.skip, pagination.skip + pagination.limit), ranked.length, pagination));
+  });
+
+  // tutors ranked for one of the caller's tuitions (student)
+  app.get('/tuitions/:id/matches', verifyJwtToken, requirePermission(P.TUITION_MANAGE_OWN), async (req, res) => {
+    const { uid } = req.decoded;
+    const pagination = parsePagination(req.query);
+
+    const tuition = await tuitionsCollection.findOne({ _id: new ObjectId(req.params.id), studentId: uid });
+    if (!tuition) return res.status(404).send({ message: 'Tuition not found or not yours' });
+
+    const appliedTutorIds = await tuitionApplications.distinct('tutorId', { tuitionId: tuition._id });
+
+    const tutors = await usersCollection
+      .find({ userType: 'teacher', deletion: { $exists: false } }, { projection: PUBLIC_TUTOR_PROJECTION })
+      .sort({ createdAt: -1 })
+      .limit(MATCH_CANDIDATES)
+      .toArray();
+
+    const ranked = rankMatches(
+      tutors.map((tutor) => ({ ...tutor, applied: appliedTutorIds.includes(tutor.firebaseUID), match: scoreMatch(tutor, tuition) }))
+    );
+
+    res.send(pageResponse(ranked.slice(pagination.skip, pagination.skip + pagination.limit), ranked.length, pagination));
+  });
+
+  // ---------- scheduling ----------
+  // a paid tuition gets a weekly schedule, sessions are generated a few weeks ahead and topped up by cron
+  const SESSION_HORIZON_WEEKS = Number(process.env.SESSION_HORIZON_WEEKS) || 4;
+
+  // the hired application, set by the payment flow
+  const findHiredApplication = async (tuitionId) => {
+    const applications = await tuitionApplications
+      .find({ tuitionId, $or: [{ applyStatus: APPLICATION_STATUS.HIRED }, { paymentStatus: 'paid' }] })
+      .toArray();
+
+    return applications.find((application) => currentApplicationStatus(application) === APPLICATION_STATUS.HIRED) || null;
+  };
+
+  // tuition + hired application when the caller is its student or tutor (or may read all sessions)
+  const findScheduledTuition = async (tuitionId, { uid, userType }) => {
+    const tuition = await tuitionsCollection.findOne({ _id: new ObjectId(tuitionId) });
+    if (!tuition) return null;
+
+    const application = await findHiredApplication(tuition._id);
+    if (!application) return null;
+
+    const isParty = tuition.studentId === uid || application.tutorId === uid;
+    return isParty || hasPermission(userType, P.SESSION_READ_ALL) ? { tuition, application } : null;
+  };
+
+  // upserts on (tuitionId, startsAt), running it twice never duplicates a session
+  const generateSessions = async (tuition, application, { from = new Date(), weeks = SESSION_HORIZON_WEEKS } = {}) => {
+    const slots = expandSchedule(tuition.schedule, { from, weeks });
+    if (!slots.length) return 0;
+
+    const result = await sessionsCollection.bulkWrite(
+      slots.map(({ startsAt, endsAt }) => ({
+        updateOne: {
+          filter: { tuitionId: tuition._id, startsAt },
+          update: {
+            $setOnInsert: {
+              tuitionId: tuition._id,
+              applicationId: application._id,
+              studentId: tuition.studentId,
+              tutorId: application.tutorId,
+              tuitionTitle: tuition.title,
+              subject: tuition.subject,
+              location: tuition.location,
+              startsAt,
+              endsAt,
+              status: SESSION_STATUS.SCHEDULED,
+              attendance: null,
+              createdAt: new Date(),
+            },
+          },
+          upsert: true,
+        },
+      })),
+      { ordered: false }
+    );
+
+    return result.upsertedCount;
+  };
+
+  // a tuition that leaves paid/ongoing (refund, cancel, completion) keeps no future sessions
+  const cancelUpcomingSessions = async (query, note) => {
+    const result = await sessionsCollection.updateMany(
+      { ...query, status: SESSION_STATUS.SCHEDULED, startsAt: { $gte: new Date() } },
+      { $set: { status: SESSION_STATUS.CANCELLED, note, updatedAt: new Date() } }
+    );
+    return result.modifiedCount;
+  };
+
+  // set or replace the weekly schedule (student/tutor of a paid tuition)
+  app.put(
+    '/tuitions/:id/schedule',
+    verifyJwtToken,
+    requirePermission(P.SCHEDULE_MANAGE),
+    validateBody(schemas.schedule),
+    async (req, res) => {
+      const { uid } = req.decoded;
+      const { timezone, slots, weeks } = req.body;
+
+      const found = await findScheduledTuition(req.params.id, { uid });
+      if (!found) return res.status(404).send({ message: 'No hired tuition found' });
+
+      const { tuition, application } = found;
+
+      if (!SCHEDULABLE_STATUSES.includes(currentTuitionStatus(tuition))) {
+        return res.status(409).send({ message: `Tuition is ${currentTuitionStatus(tuition)}, it can not be scheduled` });
+      }
+
+      if (!isTimezone(timezone)) return res.status(400).send({ message: 'timezone must be an IANA zone, e.g. Asia/Dhaka' });
+
+      const overlap = findSlotOverlap(slots);
+      if (overlap) return res.status(400).send({ message: `Slots overlap on ${overlap[1].day} at ${overlap[1].start}` });
+
+      const schedule = { timezone, slots, updatedAt: new Date(), updatedBy: uid };
+      await tuitionsCollection.updateOne({ _id: tuition._id }, { $set: { schedule } });
+
+      // unmarked future sessions are dropped and regenerated from the new slots
+      const now = new Date();
+      await sessionsCollection.deleteMany({ tuitionId: tuition._id, status: SESSION_STATUS.SCHEDULED, startsAt: { $gte: now } });
+      const created = await generateSessions({ ...tuition, schedule }, application, { from: now, weeks });
+
+      res.send({ schedule, created });
+    }
+  );
+
+  // sessions of a tuition, ?from=&to= (ISO dates)
+  app.get('/tuitions/:id/sessions', verifyJwtToken, requirePermission(P.SCHEDULE_MANAGE, P.SESSION_READ_ALL), async (req, res) => {
+    const found = await findScheduledTuition(req.params.id, req.decoded);
+    if (!found) return res.status(404).send({ message: 'No hired tuition found' });
+
+    const { range, error } = parseDateRange(req.query);
+    if (error) return res.status(400).send({ message: error });
+
+    const query = { tuitionId: found.tuition._id };
+    if (range.from || range.to) query.startsAt = { ...(range.from && { $gte: range.from }), ...(range.to && { $lte: range.to }) };
+
+    const sessions = await sessionsCollection.find(query).sort({ startsAt: 1 }).toArray();
+
+    res.send({ schedule: found.tuition.schedule || null, sessions });
+  });
+
+  // the caller's sessions across tuitions, upcoming first, ?status=&from=
+  app.get('/sessions', verifyJwtToken, requirePermission(P.SCHEDULE_MANAGE), async (req, res) => {
+    const { uid } = req.decoded;
+    const pagination = parsePagination(req.query);
+
+    const from = req.query.from ? new Date(req.query.from) : new Date();
+    if (Number.isNaN(from.getTime())) return res.status(400).send({ message: 'from must be a date' });
+
+    const query = { $or: [{ studentId: uid }, { tutorId: uid }], startsAt: { $gte: from } };
+    if (Object.values(SESSION_STATUS).includes(req.query.status)) query.status = req.query.status;
+
+    const [data, total] = await Promise.all([
+      sessionsCollection.find(query).sort({ startsAt: 1 }).skip(pagination.skip).limit(pagination.limit).toArray(),
+      sessionsCollection.countDocuments(query),
+    ]);
+
+    res.send(pageResponse(data, total, pagination));
+  });
+
+  // mark a session held or cancelled (tutor)
+  app.patch(
+    '/sessions/:id/status',
+    verifyJwtToken,
+    requirePermission(P.SESSION_MANAGE),
+    validateBody(schemas.sessionStatus),
+    async (req, res) => {
+      const { uid, userType } = req.decoded;
+      const { status, note } = req.body;
+
+      const session = await sessionsCollection.findOne({ _id: new ObjectId(req.params.id), tutorId: uid });
+      if (!session) return res.status(404).send({ message: 'Session not found' });
+
+      if (!canTransitionSession(session.status, status)) {
+        return res.status(409).send({ message: `Session is ${session.status}, it can not be marked ${status}` });
+      }
+
+      if (status === SESSION_STATUS.HELD && session.startsAt > new Date()) {
+        return res.status(409).send({ message: 'A session can only be marked held once it has started' });
+      }
+
+      const updated = await sessionsCollection.findOneAndUpdate(
+        { _id: session._id, status: session.status },
+        { $set: { status, note, markedBy: { uid, userType }, markedAt: new Date(), updatedAt: new Date() } },
+        { returnDocument: 'after' }
+      );
+
+      if (!updated) return res.status(409).send({ message: 'Session was changed meanwhile, please reload' });
+
+      // the first held session starts the tuition
+      if (status === SESSION_STATUS.HELD) {
+        const tuition = await tuitionsCollection.findOne({ _id: session.tuitionId });
+        if (tuition && currentTuitionStatus(tuition) === TUITION_STATUS.PAID) {
+          await transitionTuition(tuition, TUITION_STATUS.ONGOING, { actor: { uid, userType }, reason: 'first session held' });
+        }
+      }
+
+      if (status === SESSION_STATUS.CANCELLED) {
+        await notifier.notify(session.studentId, NOTIFICATION_EVENTS.SESSION_CANCELLED, {
+          tuitionId: session.tuitionId,
+          sessionId: session._id,
+          tuitionTitle: session.tuitionTitle,
+          startsAt: session.startsAt,
+          note,
+        });
+      }
+
+      res.send(updated);
+    }
+  );
+
+  // confirm attendance of a held session, once (student)
+  app.patch(
+    '/sessions/:id/attendance',
+    verifyJwtToken,
+    requirePermission(P.SESSION_ATTEND),
+    validateBody(schemas.attendance),
+    async (req, res) => {
+      const { uid } = req.decoded;
+      const { attended, note } = req.body;
+
+      const session = await sessionsCollection.findOne({ _id: new ObjectId(req.params.id), studentId: uid });
+      if (!session) return res.status(404).send({ message: 'Session not found' });
+
+      if (session.status !== SESSION_STATUS.HELD) {
+        return res.status(409).send({ message: 'Attendance can only be confirmed for held sessions' });
+      }
+
+      const updated = await sessionsCollection.findOneAndUpdate(
+        { _id: session._id, status: SESSION_STATUS.HELD, attendance: null },
+        { $set: { attendance: { attended, note, confirmedAt: new Date() }, updatedAt: new Date() } },
+        { returnDocument: 'after' }
+      );
+
+      if (!updated) return res.status(409).send({ message: 'Attendance is already confirmed' });
+
+      res.send(updated);
+    }
+  );
+
+  // ---------- calendar export ----------
+  // every participant gets a private .ics feed url, only the token hash is stored
+  const CALENDAR_PAST_DAYS = 30;
+
+  const sendCalendar = async (res, uid, name) => {
+    const sessions = await sessionsCollection
+      .find({
+        $or: [{ studentId: uid }, { tutorId: uid }],
+        startsAt: { $gte: new Date(Date.now() - CALENDAR_PAST_DAYS * 24 * 60 * 60 * 1000) },
+      })
+      .sort({ startsAt: 1 })
+      .limit(1000)
+      .toArray();
+
+    const events = sessions.map((session) => ({
+      uid: `${session._id}@edubridge`,
+      startsAt: session.startsAt,
+      endsAt: session.endsAt,
+      summary: `${session.subject || 'Tuition'}: ${session.tuitionTitle}`,
+      description: session.note,
+      location: session.location,
+      status: session.status,
+      updatedAt: session.updatedAt || session.createdAt,
+    }));
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', 'attachment; filename="edubridge.ics"');
+    res.send(buildCalendar({ name, events }));
+  };
+
+  // one-off download
+  app.get('/user/me/calendar.ics', verifyJwtToken, requirePermission(P.SCHEDULE_MANAGE), async (req, res) => {
+    await sendCalendar(res, req.decoded.uid, 'EduBridge sessions');
+  });
+
+  // create or rotate the feed url, the old one stops working
+  app.post('/user/me/calendar-feed', verifyJwtToken, requirePermission(P.SCHEDULE_MANAGE), async (req, res) => {
+    const token = generateCalendarToken();
+
+    await usersCollection.updateOne(
+      { firebaseUID: req.decoded.uid },
+      { $set: { calendarFeed: { tokenHash: hashToken(token), createdAt: new Date() } } }
+    );
+
+    const base = process.env.SERVER_URL || `${req.protocol}://${req.get('host')}`;
+    res.send({ url: `${base}/calendar/${token}.ics` });
+  });
+
+  app.delete('/user/me/calendar-feed', verifyJwtToken, requirePermission(P.SCHEDULE_MANAGE), async (req, res) => {
+    const result = await usersCollection.updateOne({ firebaseUID: req.decoded.uid }, { $unset: { calendarFeed: '' } });
+    res.send(result);
+  });
+
+  // subscribed by calendar apps, no JWT
+  app.get('/calendar/:token.ics', publicLimiter, async (req, res) => {
+    const user = await usersCollection.findOne(
+      { 'calendarFeed.tokenHash': hashToken(req.params.token), deletion: { $exists: false } },
+      { projection: { firebaseUID: 1 } }
+    );
+
+    if (!user) return res.status(404).send({ message: 'Calendar not found' });
+
+    await sendCalendar(res, user.firebaseUID, 'EduBridge sessions');
+  });
+
+  // tops up sessions of scheduled tuitions so the calendar always reaches the horizon
+  app.get('/cron/generate-sessions', async (req, res) => {
+    if (!process.env.CRON_SECRET || req.headers.authorization !== `Bearer ${process.env.CRON_SECRET}`) {
+      return res.status(401).send({ message: 'Unauthorized access' });
+    }
+
+    const tuitions = await tuitionsCollection.find({ status: { $in: SCHEDULABLE_STATUSES }, schedule: { $exists: true } }).toArray();
+    let created = 0;
+    const failed = [];
+
+    for (const tuition of tuitions) {
+      try {
+        const application = await findHiredApplication(tuition._id);
+        if (application) created += await generateSessions(tuition, application);
+      } catch (error) {
+        req.log.error('session generation failed', { err: error, tuitionId: tuition._id });
+        failed.push(tuition._id);
+      }
+    }
+
+    res.send({ tuitions: tuitions.length, created, failed });
+  });
+
+  // ---------- admin analytics ----------
+  // every analytics route takes ?from=&to= (ISO dates)
+  const withDateRange = (req, res, next) => {
+    const { range, error } = parseDateRange(req.query);
+    if (error) return res.status(400).send({ message: error });
+
+    req.dateRange = range;
+    next();
+  };
+
+  const analyticsAccess = [verifyJwtToken, requirePermission(P.ANALYTICS_READ), withDateRange];
+
+  // signups per role, ?interval=day|month
+  app.get('/admin/analytics/signups', analyticsAccess, async (req, res) => {
+    const result = await usersCollection.aggregate(signupsPipeline(req.dateRange, req.query.interval)).toArray();
+    res.send(result);
+  });
+
+  // tuition posts by postStatus, status and subject
+  app.get('/admin/analytics/tuitions', analyticsAccess, async (req, res) => {
+    const [result] = await tuitionsCollection.aggregate(tuitionBreakdownPipeline(req.dateRange)).toArray();
+    res.send(result);
+  });
+
+  // application to hire conversion
+  app.get('/admin/analytics/conversion', analyticsAccess, async (req, res) => {
+    const [result] = await tuitionApplications.aggregate(conversionPipeline(req.dateRange)).toArray();
+    res.send(result || { applications: 0, hired: 0, conversionRate: 0 });
+  });
+
+  // revenue per month with platform fee / tutor share split
+  app.get('/admin/analytics/revenue', analyticsAccess, async (req, res) => {
+    const months = await paymentsCollection.aggregate(revenuePipeline(req.dateRange)).toArray();
+
+    const totals = months.reduce(
+      (sum, month) => ({
+        total: sum.total + month.total,
+        adminFee: sum.adminFee + month.adminFee,
+        tutorAmount: sum.tutorAmount + month.tutorAmount,
+      }),
+      { total: 0, adminFee: 0, tutorAmount: 0 }
+    );
+
+    res.send({ ...totals, months });
+  });
+
+  // top tutors by hires and earnings, ?limit=10
+  app.get('/admin/analytics/top-tutors', analyticsAccess, async (req, res) => {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), 50);
+    const result = await paymentsCollection.aggregate(topTutorsPipeline(req.dateRange, limit)).toArray();
+    res.send(result);
+  });
+
+  // ---------- exports ----------
+  // ?format=csv|json&from=&to=&fields=a,b, rows are streamed from the cursor; visibility matches the list endpoints
+
+  // format, columns and req.dateRange (withDateRange) on the given field, on top of the visibility filter
+  const parseExport = (req, allowedFields, dateField, visibility) => {
+    const { format, fields, error } = parseExportQuery(req.query, allowedFields);
+    if (error) return { error };
+
+    const { from, to } = req.dateRange;
+    const query = { ...visibility };
+    if (from || to) query[dateField] = { ...(from && { $gte: from }), ...(to && { $lte: to }) };
+
+    return { format, fields, query };
+  };
+
+  app.get(
+    '/payment-history/export',
+    verifyJwtToken,
+    requirePermission(P.PAYMENT_READ_OWN, P.PAYMENT_READ_ALL),
+    withDateRange,
+    async (req, res) => {
+      const { format, fields, query, error } = parseExport(req, EXPORT_FIELDS.payments, 'paidAt', paymentVisibility(req.decoded));
+      if (error) return res.status(400).send({ message: error });
+
+      if (['paid', 'partially_refunded', 'refunded', 'failed'].includes(req.query.status)) query.status = req.query.status;
+
+      const cursor = paymentsCollection.find(query, { projection: projectionFor(fields) }).sort({ paidAt: 1 });
+      await streamExport({ res, cursor, format, fields, filename: 'payments' });
+    }
+  );
+
+  app.get('/users/export', verifyJwtToken, requirePermission(P.USER_READ), withDateRange, async (req, res) => {
+    const { format, fields, query, error } = parseExport(req, EXPORT_FIELDS.users, 'createdAt', {});
+    if (error) return res.status(400).send({ message: error });
+
+    if (isRole(req.query.userType)) query.userType = req.query.userType;
+
+    const cursor = usersCollection.find(query, { projection: projectionFor(fields) }).sort({ createdAt: 1 });
+    await streamExport({ res, cursor, format, fields, filename: 'users' });
+  });
+
+  app.get(
+    '/tuitions/export',
+    verifyJwtToken,
+    requirePermission(P.TUITION_MANAGE_OWN, P.TUITION_READ_ALL),
+    withDateRange,
+    async (req, res) => {
+      const { format, fields, query, error } = parseExport(req, EXPORT_FIELDS.tuitions, 'createdAt', tuitionVisibility(req.decoded));
+      if (error) return res.status(400).send({ message: error });
+
+      if (isTuitionStatus(req.query.status)) query.status = req.query.status;
+
+      const cursor = tuitionsCollection.find(query, { projection: projectionFor(fields) }).sort({ createdAt: 1 });
+      await streamExport({ res, cursor, format, fields, filename: 'tuitions' });
+    }
+  );
+
+  // purge accounts whose grace period is over (vercel cron)
+  app.get('/cron/purge-deletions', async (req, res) => {
+    if (!process.env.CRON_SECRET || req.headers.authorization !== `Bearer ${process.env.CRON_SECRET}`) {
+      return res.status(401).send({ message: 'Unauthorized access' });
+    }
+
+    const due = await usersCollection.find({ 'deletion.scheduledFor': { $lte: new Date() } }).toArray();
+    const failed = [];
+
+    for (const user of due) {
+      try {
+        // a purge that failed half way is picked up again by the next run, the key keeps it to one entry
+        await auditLog.record({
+          key: `user.delete:${user._id}`,
+          actor: { system: 'account-deletion' },
+          action: AUDIT_ACTIONS.USER_DELETE,
+          target: { type: 'user', id: user._id },
+          changes: { deleted: { from: false, to: true } },
+          meta: { firebaseUID: user.firebaseUID, email: user.email, requestedBy: user.deletion.requestedBy },
+        });
+
+        await purgeUser(user);
+      } catch (error) {
+        req.log.error('account purge failed', { err: error, userId: user._id });
+        failed.push(user._id);
+      }
+    }
+
+    res.send({ purged: due.length - failed.length, failed });
+  });
+
+  // ---------- audit log ----------
+  // newest first, ?actor=<uid>&targetType=&targetId=&action=&from=&to= (admin)
+  app.get('/admin/audit-log', verifyJwtToken, requirePermission(P.AUDIT_READ), withDateRange, async (req, res) => {
+    const pagination = parsePagination(req.query);
+    const { actor, targetType, targetId, action } = req.query;
+    const { from, to } = req.dateRange;
+
+    const query = {};
+    if (actor) query['actor.uid'] = String(actor);
+    if (targetType) query['target.type'] = String(targetType);
+    if (targetId) query['target.id'] = String(targetId);
+    if (isAuditAction(action)) query.action = action;
+    if (from || to) query.createdAt = { ...(from && { $gte: from }), ...(to && { $lte: to }) };
+
+    const [data, total] = await Promise.all([
+      auditCollection.find(query).sort({ createdAt: -1 }).skip(pagination.skip).limit(pagination.limit).toArray(),
+      auditCollection.countDocuments(query),
+    ]);
+
+    res.send(pageResponse(data, total, pagination));
+  });
+
+  // ---------- errors ----------
+  app.use(notFoundHandler);
+  app.use(errorHandler);
+
+  return app;
+};
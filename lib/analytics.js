@@ -0,0 +1,146 @@
+// ---------- admin analytics ----------
+// aggregation pipelines over users, tuitions, applications and payments
+
+const periodFormats = { day: '%Y-%m-%d', month: '%Y-%m' };
+
+// amounts were stored as strings by older payments
+const toNumber = (field) => ({ $convert: { input: field, to: 'double', onError: 0, onNull: 0 } });
+
+const period = (field, interval) => ({ $dateToString: { format: periodFormats[interval] || periodFormats.month, date: field } });
+
+// ?from=2025-01-01&to=2025-12-31, both optional
+export const parseDateRange = (query) => {
+  const range = {};
+
+  for (const key of ['from', 'to']) {
+    if (!query[key]) continue;
+
+    const date = new Date(query[key]);
+    if (Number.isNaN(date.getTime())) return { error: `${key} must be a valid date` };
+    range[key] = date;
+  }
+
+  if (range.from && range.to && range.from > range.to) return { error: 'from must be before to' };
+  return { range };
+};
+
+const dateMatch = (field, { from, to }) => {
+  if (!from && !to) return {};
+
+  const condition = {};
+  if (from) condition.$gte = from;
+  if (to) condition.$lte = to;
+
+  return { [field]: condition };
+};
+
+const PAID_STATUSES = ['paid', 'partially_refunded'];
+
+// a partial refund comes off the payment, split between tutor and platform the way lib/ledger.js refundEntry splits it
+const netOfRefunds = [
+  {
+    $addFields: {
+      refunded: toNumber('$refundedAmount'),
+      tutorRefunded: {
+        $cond: [
+          { $gt: [toNumber('$amount'), 0] },
+          {
+            $floor: {
+              $add: [{ $divide: [{ $multiply: [toNumber('$tutorAmount'), toNumber('$refundedAmount')] }, toNumber('$amount')] }, 0.5],
+            },
+          },
+          0,
+        ],
+      },
+    },
+  },
+  {
+    $addFields: {
+      netAmount: { $subtract: [toNumber('$amount'), '$refunded'] },
+      netTutorAmount: { $subtract: [toNumber('$tutorAmount'), '$tutorRefunded'] },
+      netAdminFee: { $subtract: [toNumber('$adminFee'), { $subtract: ['$refunded', '$tutorRefunded'] }] },
+    },
+  },
+];
+
+export const signupsPipeline = (range, interval) => [
+  { $match: dateMatch('createdAt', range) },
+  { $group: { _id: { period: period('$createdAt', interval), userType: '$userType' }, count: { $sum: 1 } } },
+  { $sort: { '_id.period': 1, '_id.userType': 1 } },
+  { $project: { _id: 0, period: '$_id.period', userType: '$_id.userType', count: 1 } },
+];
+
+export const tuitionBreakdownPipeline = (range) => [
+  { $match: dateMatch('createdAt', range) },
+  {
+    $facet: {
+      byPostStatus: [{ $group: { _id: '$postStatus', count: { $sum: 1 } } }, { $sort: { count: -1 } }],
+      byStatus: [{ $group: { _id: '$status', count: { $sum: 1 } } }, { $sort: { count: -1 } }],
+      bySubject: [{ $group: { _id: '$subject', count: { $sum: 1 } } }, { $sort: { count: -1 } }],
+    },
+  },
+];
+
+// hired = applications that ended in a paid hire
+export const conversionPipeline = (range) => [
+  { $match: dateMatch('createdAt', range) },
+  {
+    $group: {
+      _id: null,
+      applications: { $sum: 1 },
+      hired: { $sum: { $cond: [{ $or: [{ $eq: ['$applyStatus', 'hired'] }, { $eq: ['$paymentStatus', 'paid'] }] }, 1, 0] } },
+    },
+  },
+  {
+    $project: {
+      _id: 0,
+      applications: 1,
+      hired: 1,
+      conversionRate: { $cond: [{ $gt: ['$applications', 0] }, { $divide: ['$hired', '$applications'] }, 0] },
+    },
+  },
+];
+
+export const revenuePipeline = (range) => [
+  { $match: { status: { $in: PAID_STATUSES }, ...dateMatch('paidAt', range) } },
+  ...netOfRefunds,
+  {
+    $group: {
+      _id: period('$paidAt', 'month'),
+      payments: { $sum: 1 },
+      total: { $sum: '$netAmount' },
+      adminFee: { $sum: '$netAdminFee' },
+      tutorAmount: { $sum: '$netTutorAmount' },
+    },
+  },
+  { $sort: { _id: 1 } },
+  { $project: { _id: 0, month: '$_id', payments: 1, total: 1, adminFee: 1, tutorAmount: 1 } },
+];
+
+// a monthly tuition pays one invoice per month, hires counts each application once
+// (payments from before applicationId was stored count one each)
+export const topTutorsPipeline = (range, limit) => [
+  { $match: { status: { $in: PAID_STATUSES }, ...dateMatch('paidAt', range) } },
+  ...netOfRefunds,
+  {
+    $group: {
+      _id: '$tutorId',
+      applications: { $addToSet: { $ifNull: ['$applicationId', '$_id'] } },
+      earnings: { $sum: '$netTutorAmount' },
+    },
+  },
+  { $addFields: { hires: { $size: '$applications' } } },
+  { $sort: { hires: -1, earnings: -1 } },
+  { $limit: limit },
+  { $lookup: { from: 'users', localField: '_id', foreignField: 'firebaseUID', as: 'tutor' } },
+  {
+    $project: {
+      _id: 0,
+      tutorId: '$_id',
+      hires: 1,
+      earnings: 1,
+      name: { $first: '$tutor.name' },
+      photoURL: { $first: '$tutor.photoURL' },
+    },
+  },
+];
@@ -0,0 +1,52 @@
+// ---------- application workflow ----------
+// pending -> shortlisted -> selected -> hired (after payment)
+// rejected and withdrawn are final, hired only moves again when the payment is refunded
+
+export const APPLICATION_STATUS = {
+  PENDING: 'pending',
+  SHORTLISTED: 'shortlisted',
+  REJECTED: 'rejected',
+  SELECTED: 'selected',
+  WITHDRAWN: 'withdrawn',
+  HIRED: 'hired',
+};
+
+const { PENDING, SHORTLISTED, REJECTED, SELECTED, WITHDRAWN, HIRED } = APPLICATION_STATUS;
+
+const transitions = {
+  [PENDING]: [SHORTLISTED, REJECTED, SELECTED, WITHDRAWN],
+  [SHORTLISTED]: [PENDING, REJECTED, SELECTED, WITHDRAWN],
+  // student can change their mind until the payment goes through, only a selected tutor can be hired
+  [SELECTED]: [SHORTLISTED, REJECTED, HIRED],
+  [REJECTED]: [],
+  [WITHDRAWN]: [],
+  [HIRED]: [],
+};
+
+// a full refund undoes the hire
+const refundTransitions = {
+  [HIRED]: [PENDING, REJECTED],
+};
+
+// states the student sets through PATCH /applications/:id
+export const STUDENT_SETTABLE_STATUSES = [PENDING, SHORTLISTED, REJECTED, SELECTED];
+
+// tutor can no longer edit or delete these
+export const LOCKED_STATUSES = [SELECTED, HIRED];
+
+// applications still competing for the tuition
+export const ACTIVE_STATUSES = [PENDING, SHORTLISTED, SELECTED];
+
+export const isApplicationStatus = (status) => Object.values(APPLICATION_STATUS).includes(status);
+
+export const canTransitionApplication = (from, to) => (transitions[from] || []).includes(to);
+
+export const canRefundTransitionApplication = (from, to) => (refundTransitions[from] || []).includes(to);
+
+// older applications were marked selected + paid by the payment flow
+export const currentApplicationStatus = (application) => {
+  const { applyStatus, paymentStatus } = application;
+
+  if (paymentStatus === 'paid') return HIRED;
+  return isApplicationStatus(applyStatus) ? applyStatus : PENDING;
+};
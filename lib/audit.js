@@ -0,0 +1,71 @@
+import { isDuplicateKeyError } from './errors.js';
+
+// ---------- audit log ----------
+// append-only record of administrative and financial changes: who did what to which document, and what changed.
+// entries are only ever inserted, nothing in the app updates or deletes them.
+// an entry is written before the change it describes, so a failed write stops the change instead of leaving it unaudited.
+// a request can still fail after its entry was written, an entry means a change was authorized and attempted
+
+export const AUDIT_ACTIONS = {
+  USER_UPDATE: 'user.update',
+  USER_DELETE: 'user.delete',
+  USER_DELETION_SCHEDULED: 'user.deletion_scheduled',
+  USER_DELETION_CANCELLED: 'user.deletion_cancelled',
+  TUITION_MODERATE: 'tuition.moderate',
+  REVIEW_MODERATE: 'review.moderate',
+  PAYMENT_RECORDED: 'payment.recorded',
+  PAYMENT_FAILED: 'payment.failed',
+  PAYMENT_FLAGGED: 'payment.flagged',
+  PAYMENT_REFUNDED: 'payment.refunded',
+  DISPUTE_RESOLVE: 'dispute.resolve',
+  PAYOUT_CREATE: 'payout.create',
+  VERIFICATION_REVIEW: 'verification.review',
+  SETTINGS_UPDATE: 'settings.update',
+  SUBSCRIPTION_UPDATE: 'subscription.update',
+};
+
+export const isAuditAction = (action) => Object.values(AUDIT_ACTIONS).includes(action);
+
+// never copied into an entry, whatever document they sit on
+const REDACTED_FIELDS = ['tokenHash', 'calendarFeed', 'notificationPreferences'];
+
+const comparable = (value) => JSON.stringify(value ?? null);
+
+// { field: { from, to } } for the fields of `after` that differ from `before`
+export const diffChanges = (before = {}, after = {}) =>
+  Object.fromEntries(
+    Object.keys(after)
+      .filter((field) => !REDACTED_FIELDS.includes(field) && comparable(before?.[field]) !== comparable(after[field]))
+      .map((field) => [field, { from: before?.[field] ?? null, to: after[field] ?? null }])
+  );
+
+// target: { type: 'user', id }, actor: { uid, userType } or { system }
+export const auditEntry = ({ actor, action, target, before, after, changes, ip, requestId, meta }) => ({
+  actor,
+  action,
+  target: { type: target.type, id: String(target.id) },
+  changes: changes || diffChanges(before, after),
+  ...(meta && { meta }),
+  ip: ip || null,
+  requestId: requestId || null,
+  createdAt: new Date(),
+});
+
+export const createAuditLog = ({ auditCollection }) => {
+  // `key` makes the write idempotent: webhooks and cron jobs that are retried write their entry once, on whichever run gets there.
+  // unlike notifications a failed write throws, the caller has not made its change yet and must not make it
+  const record = async ({ key, ...input }) => {
+    const entry = auditEntry(input);
+
+    try {
+      if (key) await auditCollection.updateOne({ key }, { $setOnInsert: { key, ...entry } }, { upsert: true });
+      else await auditCollection.insertOne(entry);
+    } catch (err) {
+      // two runs upserting the same key, the other one wrote it
+      if (key && isDuplicateKeyError(err)) return;
+      throw new Error(`audit log write failed for ${input.action} on ${input.target.type} ${input.target.id}`, { cause: err });
+    }
+  };
+
+  return { record };
+};
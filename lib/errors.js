@@ -0,0 +1,93 @@
+import { logger } from './logger.js';
+
+// ---------- errors ----------
+// throw these from routes and middleware, errorHandler turns them into responses
+
+export class AppError extends Error {
+  constructor(status, message, { code, details, cause } = {}) {
+    super(message, { cause });
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+export class ValidationError extends AppError {
+  constructor(errors) {
+    super(400, 'Validation failed', { code: 'VALIDATION_FAILED', details: { errors } });
+  }
+}
+
+export class UnauthorizedError extends AppError {
+  constructor(message = 'Unauthorized access') {
+    super(401, message, { code: 'UNAUTHORIZED' });
+  }
+}
+
+export class ForbiddenError extends AppError {
+  constructor(message = 'Forbidden access') {
+    super(403, message, { code: 'FORBIDDEN' });
+  }
+}
+
+export class NotFoundError extends AppError {
+  constructor(message = 'Not found') {
+    super(404, message, { code: 'NOT_FOUND' });
+  }
+}
+
+export class ConflictError extends AppError {
+  constructor(message) {
+    super(409, message, { code: 'CONFLICT' });
+  }
+}
+
+// retryAfter (seconds) is sent back as the Retry-After header
+export class TooManyRequestsError extends AppError {
+  constructor(message = 'Too many requests', { retryAfter, code = 'RATE_LIMITED' } = {}) {
+    super(429, message, { code, details: { retryAfter } });
+    this.retryAfter = retryAfter;
+  }
+}
+
+export class ServiceUnavailableError extends AppError {
+  constructor(message = 'Service unavailable', { cause } = {}) {
+    super(503, message, { code: 'SERVICE_UNAVAILABLE', cause });
+  }
+}
+
+// mongo's E11000, a unique index caught a concurrent duplicate
+export const isDuplicateKeyError = (err) => err?.code === 11000;
+
+export const notFoundHandler = (req, res, next) => next(new NotFoundError('Route not found'));
+
+// last middleware: known errors keep their message, anything else is a 500
+// whose details only leave the server outside production
+export const errorHandler = (err, req, res, next) => {
+  const log = req.log || logger;
+
+  // e.g. a failing export stream, express cuts the connection so the client sees a broken download
+  if (res.headersSent) {
+    log.error('error after response started', { err, method: req.method, path: req.originalUrl });
+    return next(err);
+  }
+
+  // malformed JSON body
+  if (err.type === 'entity.parse.failed') {
+    return res.status(400).send({ message: 'Malformed JSON body', code: 'BAD_JSON', requestId: req.id });
+  }
+
+  if (err instanceof AppError) {
+    if (err.status >= 500) log.error(err.message, { err });
+    if (err.retryAfter) res.set('Retry-After', String(err.retryAfter));
+    return res.status(err.status).send({ message: err.message, code: err.code, ...err.details, requestId: req.id });
+  }
+
+  log.error('unhandled error', { err, method: req.method, path: req.originalUrl });
+
+  const body = { message: 'Internal server error', code: 'INTERNAL', requestId: req.id };
+  if (process.env.NODE_ENV !== 'production') body.error = err.message;
+
+  res.status(500).send(body);
+};
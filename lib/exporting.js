@@ -0,0 +1,169 @@
+// ---------- exports ----------
+// CSV / JSON downloads streamed from a mongo cursor, one document in memory at a time
+
+export const EXPORT_FORMATS = ['csv', 'json'];
+
+// columns callers may ask for with ?fields=a,b, all of them in this order by default
+export const EXPORT_FIELDS = {
+  payments: [
+    'paidAt',
+    'tuitionId',
+    'applicationId',
+    'tuitionTitle',
+    'studentId',
+    'studentName',
+    'studentEmail',
+    'tutorId',
+    'amount',
+    'tutorAmount',
+    'adminFee',
+    'status',
+    'billing',
+    'billingPeriod.start',
+    'billingPeriod.end',
+    'refundedAmount',
+    'refundedAt',
+    'stripeSessionId',
+    'paymentIntentId',
+    'invoiceId',
+    'subscriptionId',
+  ],
+  users: [
+    'createdAt',
+    'firebaseUID',
+    'name',
+    'email',
+    'userType',
+    'phone',
+    'location',
+    'classLevel',
+    'teachingClass',
+    'subject',
+    'expectedSalary',
+    'verified',
+    'rating.average',
+    'rating.count',
+    'deletion.scheduledFor',
+  ],
+  tuitions: [
+    'createdAt',
+    '_id',
+    'title',
+    'subject',
+    'classLevel',
+    'location',
+    'budget',
+    'daysPerWeek',
+    'status',
+    'postStatus',
+    'studentId',
+    'salary',
+    'paymentStatus',
+    'billing',
+    'paidAt',
+  ],
+};
+
+// ?fields=name,email -> known fields in the asked order, unknown ones are an error
+export const parseFields = (value, allowed) => {
+  if (!value) return { fields: allowed };
+
+  const fields = String(value)
+    .split(',')
+    .map((field) => field.trim())
+    .filter(Boolean);
+
+  const unknown = fields.filter((field) => !allowed.includes(field));
+  if (unknown.length) return { error: `Unknown fields: ${unknown.join(', ')}` };
+  if (!fields.length) return { error: 'fields is empty' };
+
+  return { fields };
+};
+
+// dotted paths, e.g. billingPeriod.start
+export const pickField = (doc, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+
+const plainValue = (value) => {
+  if (value == null) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'object' && value._bsontype === 'ObjectId') return value.toString();
+  if (typeof value === 'object') return JSON.stringify(value);
+  return value;
+};
+
+// quotes when needed, and defuses spreadsheet formulas (=, +, -, @ at the start of text)
+export const csvValue = (value) => {
+  let text = String(plainValue(value));
+
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  if (/[",\r\n]/.test(text)) text = `"${text.replace(/"/g, '""')}"`;
+
+  return text;
+};
+
+export const csvRow = (values) => `${values.map(csvValue).join(',')}\r\n`;
+
+// JSON keeps numbers and booleans, dates and ids serialize themselves
+export const projectFields = (doc, fields) => Object.fromEntries(fields.map((field) => [field, pickField(doc, field) ?? null]));
+
+// mongo projection for the dotted fields, keeps the cursor from pulling whole documents
+export const projectionFor = (fields) =>
+  Object.fromEntries([...fields.map((field) => [field, 1]), ...(fields.includes('_id') ? [] : [['_id', 0]])]);
+
+// writes respect backpressure, a client that goes away closes the cursor
+export const streamExport = async ({ res, cursor, format, fields, filename }) => {
+  const csv = format === 'csv';
+  let closed = false;
+
+  res.on('close', () => {
+    closed = true;
+  });
+
+  // resolves on drain, or on close so a dropped connection can't leave us waiting
+  const write = (chunk) =>
+    res.write(chunk) ||
+    new Promise((resolve) => {
+      const done = () => {
+        res.off('drain', done);
+        res.off('close', done);
+        resolve();
+      };
+      res.on('drain', done);
+      res.on('close', done);
+    });
+
+  res.status(200);
+  res.set('Content-Type', csv ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8');
+  res.set('Content-Disposition', `attachment; filename="${filename}.${format}"`);
+
+  try {
+    await write(csv ? csvRow(fields) : '[');
+
+    let first = true;
+
+    for await (const doc of cursor) {
+      if (closed) break;
+
+      if (csv) await write(csvRow(fields.map((field) => pickField(doc, field))));
+      else await write(`${first ? '' : ','}\n${JSON.stringify(projectFields(doc, fields))}`);
+
+      first = false;
+    }
+
+    if (!csv) await write('\n]\n');
+    res.end();
+  } finally {
+    await cursor.close();
+  }
+};
+
+// shared query parsing for the export routes
+export const parseExportQuery = (query, allowed) => {
+  const format = query.format || 'csv';
+  if (!EXPORT_FORMATS.includes(format)) return { error: `format must be one of ${EXPORT_FORMATS.join(', ')}` };
+
+  const { fields, error } = parseFields(query.fields, allowed);
+  if (error) return { error };
+
+  return { format, fields };
+};
@@ -0,0 +1,71 @@
+// ---------- ledger ----------
+// double-entry journal: every entry has lines whose debits equal their credits.
+// payment: cash in, tutor payable + platform revenue up
+// held:    cash in, owed to nobody yet (a payment flagged for review), refunds take it back out
+// refund:  the same split reversed, pro rata
+// payout:  tutor payable down, cash out
+
+export const ACCOUNTS = {
+  CASH: 'asset:stripe_cash',
+  PLATFORM_REVENUE: 'revenue:platform_fee',
+  UNALLOCATED: 'liability:unallocated_payments',
+};
+
+export const tutorPayableAccount = (tutorId) => `liability:tutor_payable:${tutorId}`;
+
+const line = (account, debit, credit) => ({ account, debit, credit });
+
+export const isBalanced = (lines) => {
+  const debit = lines.reduce((sum, l) => sum + l.debit, 0);
+  const credit = lines.reduce((sum, l) => sum + l.credit, 0);
+  return debit === credit && debit > 0;
+};
+
+const entry = (type, reference, lines, meta) => {
+  if (!isBalanced(lines)) throw new Error(`Unbalanced ledger entry ${reference}`);
+  return { type, reference, lines, ...meta, createdAt: new Date() };
+};
+
+export const paymentEntry = ({ stripeSessionId, tutorId, amount, tutorAmount, adminFee }) =>
+  entry(
+    'payment',
+    `payment:${stripeSessionId}`,
+    [line(ACCOUNTS.CASH, amount, 0), line(tutorPayableAccount(tutorId), 0, tutorAmount), line(ACCOUNTS.PLATFORM_REVENUE, 0, adminFee)],
+    { stripeSessionId, tutorId }
+  );
+
+// same reference as paymentEntry, a payment is posted once, either held or split
+export const heldPaymentEntry = ({ stripeSessionId, tutorId, amount }) =>
+  entry('payment_held', `payment:${stripeSessionId}`, [line(ACCOUNTS.CASH, amount, 0), line(ACCOUNTS.UNALLOCATED, 0, amount)], {
+    stripeSessionId,
+    tutorId,
+  });
+
+// reference includes the refunded total so each refund step is posted once.
+// a held payment is refunded out of the unallocated account, the tutor never had it
+export const refundEntry = ({ stripeSessionId, tutorId, amount, tutorAmount, refunded, refundedTotal, held = false }) => {
+  const tutorPart = Math.round((tutorAmount * refunded) / amount);
+
+  const debits = held
+    ? [line(ACCOUNTS.UNALLOCATED, refunded, 0)]
+    : [line(tutorPayableAccount(tutorId), tutorPart, 0), line(ACCOUNTS.PLATFORM_REVENUE, refunded - tutorPart, 0)];
+
+  return entry('refund', `refund:${stripeSessionId}:${refundedTotal}`, [...debits, line(ACCOUNTS.CASH, 0, refunded)], {
+    stripeSessionId,
+    tutorId,
+  });
+};
+
+export const payoutEntry = ({ payoutId, tutorId, amount, method, externalReference, note, settledBy }) =>
+  entry('payout', `payout:${payoutId}`, [line(tutorPayableAccount(tutorId), amount, 0), line(ACCOUNTS.CASH, 0, amount)], {
+    tutorId,
+    payout: { amount, method, externalReference, note, settledBy },
+  });
+
+// ?month=YYYY-MM -> [start, end)
+export const parseMonth = (month) => {
+  if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(month || '')) return null;
+
+  const [year, m] = month.split('-').map(Number);
+  return { start: new Date(Date.UTC(year, m - 1, 1)), end: new Date(Date.UTC(year, m, 1)) };
+};
@@ -0,0 +1,78 @@
+// ---------- public listing queries ----------
+// turns query params of /all-tuitions and /public/tutors into mongo filters
+
+const DEFAULT_LIMIT = 12;
+const MAX_LIMIT = 50;
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const toNumber = (value) => {
+  if (value === undefined || value === '') return undefined;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : undefined;
+};
+
+export const parsePagination = (query) => {
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+// budget is stored as whatever the form sent, so compare on a converted copy
+export const budgetValueField = {
+  $convert: { input: '$budget', to: 'double', onError: null, onNull: null },
+};
+
+const tuitionSorts = {
+  newest: { createdAt: -1, _id: -1 },
+  budget_asc: { budgetValue: 1, _id: 1 },
+  budget_desc: { budgetValue: -1, _id: -1 },
+};
+
+export const buildTuitionQuery = (query) => {
+  const { q, classLevel, subject, location } = query;
+  const filter = {};
+
+  if (q) filter.$text = { $search: String(q) };
+  if (classLevel) filter.classLevel = String(classLevel);
+  if (subject) filter.subject = String(subject);
+  if (location) filter.location = { $regex: escapeRegex(location), $options: 'i' };
+
+  const minBudget = toNumber(query.minBudget);
+  const maxBudget = toNumber(query.maxBudget);
+  const budget = {};
+
+  if (minBudget !== undefined) budget.$gte = minBudget;
+  if (maxBudget !== undefined) budget.$lte = maxBudget;
+
+  return {
+    filter,
+    budgetFilter: Object.keys(budget).length ? { budgetValue: budget } : null,
+    sort: tuitionSorts[query.sort] || tuitionSorts.newest,
+  };
+};
+
+export const buildTutorQuery = (query) => {
+  const { q, classLevel, subject, location } = query;
+  const filter = {};
+
+  if (q) filter.$text = { $search: String(q) };
+  if (classLevel) filter.teachingClass = String(classLevel);
+  if (query.verified === 'true') filter.verified = true;
+  if (subject) filter.subject = String(subject);
+  if (location) filter.location = { $regex: escapeRegex(location), $options: 'i' };
+
+  const sort = query.sort === 'rating' ? { 'rating.average': -1, 'rating.count': -1, _id: -1 } : { createdAt: -1, _id: -1 };
+
+  return { filter, sort };
+};
+
+// same response shape for every paginated list
+export const pageResponse = (data, total, { page, limit }) => ({
+  data,
+  total,
+  page,
+  limit,
+  totalPages: Math.ceil(total / limit),
+});
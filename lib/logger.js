@@ -0,0 +1,69 @@
+import crypto from 'crypto';
+
+// ---------- logging ----------
+// one JSON object per line, secrets in the logged fields are masked
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// read per line so LOG_LEVEL set after import (dotenv, tests) still applies
+const minLevel = () => LEVELS[process.env.LOG_LEVEL] || LEVELS.info;
+
+const SECRET_KEYS = /authorization|cookie|password|secret|token/i;
+
+const serializeError = (err) => ({
+  name: err.name,
+  message: err.message,
+  code: err.code,
+  stack: err.stack,
+  ...(err.cause instanceof Error && { cause: serializeError(err.cause) }),
+});
+
+const redact = (value, depth = 0) => {
+  if (value instanceof Error) return serializeError(value);
+  if (!value || typeof value !== 'object' || depth > 4) return value;
+  if (Array.isArray(value)) return value.map((item) => redact(item, depth + 1));
+
+  return Object.fromEntries(
+    Object.entries(value).map(([key, item]) => [key, SECRET_KEYS.test(key) ? '[redacted]' : redact(item, depth + 1)])
+  );
+};
+
+const write = (level, bindings, msg, fields) => {
+  if (LEVELS[level] < minLevel()) return;
+
+  const line = JSON.stringify({ level, time: new Date().toISOString(), msg, ...bindings, ...redact(fields || {}) });
+  (level === 'error' ? process.stderr : process.stdout).write(`${line}\n`);
+};
+
+export const createLogger = (bindings = {}) => ({
+  debug: (msg, fields) => write('debug', bindings, msg, fields),
+  info: (msg, fields) => write('info', bindings, msg, fields),
+  warn: (msg, fields) => write('warn', bindings, msg, fields),
+  error: (msg, fields) => write('error', bindings, msg, fields),
+  child: (more) => createLogger({ ...bindings, ...more }),
+});
+
+export const logger = createLogger({ service: 'edubridge-server' });
+
+// request id from the caller (or a new one), echoed back in X-Request-Id and bound to req.log
+export const requestLogger = (req, res, next) => {
+  const incoming = req.headers['x-request-id'];
+  req.id = typeof incoming === 'string' && /^[\w-]{1,100}$/.test(incoming) ? incoming : crypto.randomUUID();
+  req.log = logger.child({ requestId: req.id });
+
+  res.setHeader('X-Request-Id', req.id);
+
+  const startedAt = process.hrtime.bigint();
+
+  res.on('finish', () => {
+    req.log.info('request', {
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      status: res.statusCode,
+      durationMs: Number(process.hrtime.bigint() - startedAt) / 1e6,
+      uid: req.decoded?.uid,
+    });
+  });
+
+  next();
+};
@@ -0,0 +1,89 @@
+// ---------- tutor <-> tuition matching ----------
+// plain rule based score out of 100, every factor reports what it matched so the result can be explained
+
+const WEIGHTS = { subject: 40, classLevel: 25, location: 25, budget: 10 };
+
+const normalize = (value) =>
+  String(value ?? '')
+    .toLowerCase()
+    .trim();
+
+// "Math, Physics & Chemistry" -> ['math', 'physics', 'chemistry']
+const splitList = (value) =>
+  normalize(value)
+    .split(/\s*(?:,|\/|;|\||&|\band\b)\s*/)
+    .filter(Boolean);
+
+const numbersIn = (value) => (String(value ?? '').match(/\d+/g) || []).map(Number);
+
+const factor = (name, score, reason) => ({ factor: name, score, max: WEIGHTS[name], reason });
+
+const subjectFactor = (tutor, tuition) => {
+  const wanted = normalize(tuition.subject);
+  const subjects = splitList(tutor.subject);
+
+  if (!wanted || subjects.length === 0) return factor('subject', 0, 'subject missing');
+  if (subjects.includes(wanted)) return factor('subject', WEIGHTS.subject, `teaches ${tuition.subject}`);
+  if (subjects.some((s) => s.includes(wanted) || wanted.includes(s))) return factor('subject', WEIGHTS.subject / 2, 'related subject');
+
+  return factor('subject', 0, 'different subject');
+};
+
+// teachingClass may be "Class 6-10", "8" or "6, 7, 8"
+const classLevelFactor = (tutor, tuition) => {
+  const [level] = numbersIn(tuition.classLevel);
+  const taught = numbersIn(tutor.teachingClass);
+
+  if (normalize(tutor.teachingClass) && normalize(tutor.teachingClass) === normalize(tuition.classLevel)) {
+    return factor('classLevel', WEIGHTS.classLevel, 'same class');
+  }
+
+  if (level === undefined || taught.length === 0) return factor('classLevel', 0, 'class missing');
+
+  const isRange = taught.length === 2 && /\d\s*-\s*\d/.test(tutor.teachingClass);
+  const inRange = isRange ? level >= Math.min(...taught) && level <= Math.max(...taught) : taught.includes(level);
+
+  return inRange ? factor('classLevel', WEIGHTS.classLevel, `teaches class ${level}`) : factor('classLevel', 0, 'different class');
+};
+
+const locationFactor = (tutor, tuition) => {
+  const tutorParts = splitList(tutor.location);
+  const tuitionParts = splitList(tuition.location);
+
+  if (tutorParts.length === 0 || tuitionParts.length === 0) return factor('location', 0, 'location missing');
+  if (normalize(tutor.location) === normalize(tuition.location)) return factor('location', WEIGHTS.location, 'same area');
+
+  const shared = tuitionParts.filter((part) => tutorParts.includes(part));
+  if (shared.length) return factor('location', Math.round(WEIGHTS.location * 0.6), `same ${shared.join(', ')}`);
+
+  return factor('location', 0, 'different area');
+};
+
+const budgetFactor = (tutor, tuition) => {
+  const budget = Number(tuition.budget);
+  const expected = Number(tutor.expectedSalary);
+
+  if (!budget || !expected) return factor('budget', 0, 'no expected salary to compare');
+  if (budget >= expected) return factor('budget', WEIGHTS.budget, 'budget covers expected salary');
+  if (budget >= expected * 0.8) return factor('budget', WEIGHTS.budget / 2, 'budget slightly below expected salary');
+
+  return factor('budget', 0, 'budget below expected salary');
+};
+
+export const scoreMatch = (tutor, tuition) => {
+  const breakdown = [subjectFactor, classLevelFactor, locationFactor, budgetFactor].map((fn) => fn(tutor, tuition));
+  const score = breakdown.reduce((sum, f) => sum + f.score, 0);
+
+  return { score, breakdown };
+};
+
+// best score first, newer documents win ties so the order is stable
+export const rankMatches = (items) =>
+  items
+    .filter((item) => item.match.score > 0)
+    .sort(
+      (a, b) =>
+        b.match.score - a.match.score ||
+        new Date(b.createdAt || 0) - new Date(a.createdAt || 0) ||
+        String(b._id).localeCompare(String(a._id))
+    );
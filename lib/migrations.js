@@ -0,0 +1,132 @@
+import { logger } from './logger.js';
+
+// ---------- migrations ----------
+// versioned { version, name, up(db), down(db) } scripts, applied versions are kept in the `migrations` collection.
+// a lock document keeps two processes (e.g. serverless cold starts) from running them at the same time
+
+const LOCK_ID = 'migration-lock';
+const LOCK_TTL_MS = 5 * 60 * 1000;
+
+// mongo's default name, so indexes created before migrations existed are matched by down()
+export const indexName = (key) =>
+  Object.entries(key)
+    .map(([field, direction]) => `${field}_${direction}`)
+    .join('_');
+
+// { collection: [{ key, ...options }] } -> up creates the indexes, down drops them again
+export const indexMigration = (indexesByCollection) => ({
+  up: async (db) => {
+    for (const [collection, specs] of Object.entries(indexesByCollection)) {
+      await db.collection(collection).createIndexes(specs);
+    }
+  },
+
+  down: async (db) => {
+    for (const [collection, specs] of Object.entries(indexesByCollection)) {
+      for (const spec of specs) {
+        try {
+          await db.collection(collection).dropIndex(spec.name || indexName(spec.key));
+        } catch (err) {
+          // already gone
+          if (err.codeName !== 'IndexNotFound' && err.codeName !== 'NamespaceNotFound') throw err;
+        }
+      }
+    }
+  },
+});
+
+// collMod fails on a collection that was never written to
+export const ensureCollection = async (db, name) => {
+  const existing = await db.listCollections({ name }, { nameOnly: true }).toArray();
+  if (!existing.length) await db.createCollection(name);
+};
+
+export const checkMigrations = (migrations) => {
+  const versions = migrations.map((migration) => migration.version);
+
+  migrations.forEach((migration, index) => {
+    if (!Number.isInteger(migration.version) || typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+      throw new Error(`Migration ${migration.name || index} needs an integer version, up() and down()`);
+    }
+    if (index > 0 && migration.version <= versions[index - 1]) {
+      throw new Error(`Migration versions must be increasing, ${migration.version} comes after ${versions[index - 1]}`);
+    }
+  });
+
+  return migrations;
+};
+
+export const createMigrator = ({ db, migrations, log = logger }) => {
+  checkMigrations(migrations);
+  const applied = db.collection('migrations');
+
+  const withLock = async (work) => {
+    const now = new Date();
+    const owner = `${process.pid}-${now.getTime()}`;
+
+    try {
+      // a lock older than the ttl belongs to a process that died mid run
+      await applied.findOneAndUpdate(
+        { _id: LOCK_ID, $or: [{ lockedAt: { $lt: new Date(now.getTime() - LOCK_TTL_MS) } }, { owner: null }] },
+        { $set: { owner, lockedAt: now } },
+        { upsert: true }
+      );
+    } catch (err) {
+      if (err.code === 11000) throw new Error('Migrations are already running in another process');
+      throw err;
+    }
+
+    try {
+      return await work();
+    } finally {
+      await applied.updateOne({ _id: LOCK_ID, owner }, { $set: { owner: null } });
+    }
+  };
+
+  const appliedVersions = async () => {
+    const docs = await applied.find({ version: { $exists: true } }, { projection: { version: 1 } }).toArray();
+    return new Set(docs.map((doc) => doc.version));
+  };
+
+  const status = async () => {
+    const done = await applied.find({ version: { $exists: true } }).toArray();
+    const byVersion = new Map(done.map((doc) => [doc.version, doc]));
+
+    return migrations.map(({ version, name }) => ({ version, name, appliedAt: byVersion.get(version)?.appliedAt || null }));
+  };
+
+  // applies pending migrations in order, up to and including `to`
+  const up = ({ to = Infinity } = {}) =>
+    withLock(async () => {
+      const done = await appliedVersions();
+      const pending = migrations.filter((migration) => migration.version <= to && !done.has(migration.version));
+
+      for (const migration of pending) {
+        log.info('migration up', { version: migration.version, name: migration.name });
+        await migration.up(db);
+        await applied.insertOne({ _id: `v${migration.version}`, version: migration.version, name: migration.name, appliedAt: new Date() });
+      }
+
+      return pending.map(({ version, name }) => ({ version, name }));
+    });
+
+  // reverts the last `steps` applied migrations, newest first
+  const down = ({ steps = 1 } = {}) =>
+    withLock(async () => {
+      const done = await appliedVersions();
+      const reverting = migrations
+        .filter((migration) => done.has(migration.version))
+        .reverse()
+        .slice(0, steps);
+
+      for (const migration of reverting) {
+        log.info('migration down', { version: migration.version, name: migration.name });
+        await migration.down(db);
+        await applied.deleteOne({ version: migration.version });
+      }
+
+      return reverting.map(({ version, name }) => ({ version, name }));
+    });
+
+  return { status, up, down };
+};
@@ -0,0 +1,122 @@
+import fs from 'fs/promises';
+import { logger } from './logger.js';
+
+// ---------- notifications ----------
+// every event becomes an in-app notification and/or an email, per user preferences.
+// email goes through a transport: { send({ to, subject, text }) }
+
+export const NOTIFICATION_EVENTS = {
+  TUITION_APPROVED: 'tuition.approved',
+  TUITION_REJECTED: 'tuition.rejected',
+  APPLICATION_RECEIVED: 'application.received',
+  APPLICATION_STATUS_CHANGED: 'application.status_changed',
+  PAYMENT_SUCCEEDED: 'payment.succeeded',
+  VERIFICATION_REVIEWED: 'verification.reviewed',
+  SESSION_CANCELLED: 'session.cancelled',
+  PAYMENT_FAILED: 'payment.failed',
+  SUBSCRIPTION_ENDED: 'subscription.ended',
+};
+
+const E = NOTIFICATION_EVENTS;
+
+const templates = {
+  [E.TUITION_APPROVED]: ({ tuitionTitle }) => ({
+    title: 'Tuition post approved',
+    body: `Your tuition post "${tuitionTitle}" is approved and visible to tutors.`,
+  }),
+  [E.TUITION_REJECTED]: ({ tuitionTitle, reason }) => ({
+    title: 'Tuition post rejected',
+    body: `Your tuition post "${tuitionTitle}" was rejected${reason ? `: ${reason}` : '.'}`,
+  }),
+  [E.APPLICATION_RECEIVED]: ({ tuitionTitle, tutorName }) => ({
+    title: 'New tutor application',
+    body: `${tutorName || 'A tutor'} applied for "${tuitionTitle}".`,
+  }),
+  [E.APPLICATION_STATUS_CHANGED]: ({ tuitionTitle, applyStatus }) => ({
+    title: 'Application updated',
+    body: `Your application for "${tuitionTitle}" is now ${applyStatus}.`,
+  }),
+  [E.PAYMENT_SUCCEEDED]: ({ tuitionTitle, amount }) => ({
+    title: 'Payment received',
+    body: `Payment of ${amount} BDT for "${tuitionTitle}" went through.`,
+  }),
+  [E.VERIFICATION_REVIEWED]: ({ status, note }) => ({
+    title: status === 'approved' ? 'You are verified' : 'Verification rejected',
+    body:
+      status === 'approved'
+        ? 'Your documents are approved, your profile now shows the verified badge.'
+        : `Your verification documents were rejected${note ? `: ${note}` : '.'}`,
+  }),
+  [E.SESSION_CANCELLED]: ({ tuitionTitle, startsAt, note }) => ({
+    title: 'Session cancelled',
+    body: `The "${tuitionTitle}" session on ${new Date(startsAt).toUTCString()} was cancelled${note ? `: ${note}` : '.'}`,
+  }),
+  [E.PAYMENT_FAILED]: ({ tuitionTitle, amount, nextRetryAt }) => ({
+    title: 'Payment failed',
+    body: `The monthly payment of ${amount} BDT for "${tuitionTitle}" failed${
+      nextRetryAt ? `, we will retry on ${new Date(nextRetryAt).toUTCString()}.` : '. Please update your payment method.'
+    }`,
+  }),
+  [E.SUBSCRIPTION_ENDED]: ({ tuitionTitle }) => ({
+    title: 'Monthly billing ended',
+    body: `Monthly billing for "${tuitionTitle}" has been cancelled.`,
+  }),
+};
+
+export const isNotificationEvent = (event) => Object.values(E).includes(event);
+
+// everything is on unless the user turned it off
+export const preferencesFor = (user) =>
+  Object.fromEntries(
+    Object.values(E).map((event) => [event, { inApp: true, email: true, ...(user?.notificationPreferences?.[event] || {}) }])
+  );
+
+// ---------- transports ----------
+// local development, at debug so mails stay out of production logs
+const maskAddress = (address) => {
+  const [local, domain] = String(address).split('@');
+  return domain ? `${local.slice(0, 1)}***@${domain}` : '[redacted]';
+};
+
+export const consoleTransport = {
+  send: async ({ to, ...mail }) => logger.debug('email', { mail: { ...mail, to: maskAddress(to) } }),
+};
+
+// appends one JSON line per mail, handy for checking mails offline
+export const fileTransport = (path) => ({
+  send: async (mail) => fs.appendFile(path, `${JSON.stringify({ ...mail, sentAt: new Date() })}\n`),
+});
+
+// EMAIL_TRANSPORT=console|file, a real provider only has to implement send()
+export const createTransport = (type = process.env.EMAIL_TRANSPORT) => {
+  if (type === 'file') return fileTransport(process.env.EMAIL_OUTBOX_FILE || '/tmp/edubridge-outbox.jsonl');
+  return consoleTransport;
+};
+
+// ---------- notifier ----------
+export const createNotifier = ({ notificationsCollection, usersCollection, transport }) => {
+  // never throws, a failed notification must not fail the request that caused it
+  const notify = async (uid, event, data = {}) => {
+    try {
+      if (!uid) return;
+
+      const user = await usersCollection.findOne({ firebaseUID: uid }, { projection: { email: 1, notificationPreferences: 1 } });
+      if (!user) return;
+
+      const preferences = preferencesFor(user)[event];
+      const { title, body } = templates[event](data);
+
+      if (preferences.inApp) {
+        await notificationsCollection.insertOne({ uid, event, title, body, data, read: false, createdAt: new Date() });
+      }
+
+      if (preferences.email && user.email) {
+        await transport.send({ to: user.email, subject: title, text: body });
+      }
+    } catch (err) {
+      logger.error('notification failed', { err, event, uid });
+    }
+  };
+
+  return { notify };
+};
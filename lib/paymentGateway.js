@@ -0,0 +1,33 @@
+// ---------- payment gateway ----------
+// the only place that talks to stripe, tests can swap it for a fake with the same methods
+
+export const createStripeGateway = (stripe) => ({
+  constructWebhookEvent: (payload, signature, secret) => stripe.webhooks.constructEvent(payload, signature, secret),
+
+  createCheckoutSession: (params) => stripe.checkout.sessions.create(params),
+
+  retrieveCheckoutSession: (sessionId) => stripe.checkout.sessions.retrieve(sessionId),
+
+  // amount in the smallest currency unit, omitted for a full refund.
+  // stripe answers a repeated idempotency key with the refund it already made
+  createRefund: ({ paymentIntentId, amount, metadata, idempotencyKey }) =>
+    stripe.refunds.create({ payment_intent: paymentIntentId, amount, metadata }, { idempotencyKey }),
+
+  // invoices no longer carry the payment intent, it sits on the invoice payments
+  retrieveInvoicePaymentIntent: async (invoiceId) => {
+    const invoice = await stripe.invoices.retrieve(invoiceId, { expand: ['payments'] });
+    const payments = invoice.payments?.data || [];
+    const paid = payments.find((payment) => payment.status === 'paid') || payments[0];
+    const intent = paid?.payment?.payment_intent;
+
+    return typeof intent === 'string' ? intent : intent?.id || null;
+  },
+
+  // void keeps the subscription but skips invoices until it is resumed
+  pauseSubscription: (subscriptionId) => stripe.subscriptions.update(subscriptionId, { pause_collection: { behavior: 'void' } }),
+
+  resumeSubscription: (subscriptionId) => stripe.subscriptions.update(subscriptionId, { pause_collection: '' }),
+
+  cancelSubscription: (subscriptionId, { atPeriodEnd = false } = {}) =>
+    atPeriodEnd ? stripe.subscriptions.update(subscriptionId, { cancel_at_period_end: true }) : stripe.subscriptions.cancel(subscriptionId),
+});
@@ -0,0 +1,126 @@
+import { ForbiddenError } from './errors.js';
+
+// ---------- roles & permissions ----------
+// routes ask for a permission, never for a role
+
+export const ROLES = {
+  STUDENT: 'student',
+  TEACHER: 'teacher',
+  MODERATOR: 'moderator',
+  ADMIN: 'admin',
+};
+
+export const PERMISSIONS = {
+  PROFILE_MANAGE: 'profile:manage',
+  USER_READ: 'user:read',
+  USER_MANAGE: 'user:manage',
+  USER_DELETE: 'user:delete',
+  TUITION_CREATE: 'tuition:create',
+  TUITION_MANAGE_OWN: 'tuition:manage:own',
+  TUITION_READ_ALL: 'tuition:read:all',
+  TUITION_DETAILS: 'tuition:details',
+  TUITION_MODERATE: 'tuition:moderate',
+  TUITION_LIFECYCLE: 'tuition:lifecycle',
+  APPLICATION_CREATE: 'application:create',
+  APPLICATION_MANAGE_OWN: 'application:manage:own',
+  APPLICATION_REVIEW: 'application:review',
+  PAYMENT_CREATE: 'payment:create',
+  PAYMENT_READ_OWN: 'payment:read:own',
+  PAYMENT_READ_ALL: 'payment:read:all',
+  ANALYTICS_READ: 'analytics:read',
+  REVIEW_CREATE: 'review:create',
+  REVIEW_REPLY: 'review:reply',
+  REVIEW_MODERATE: 'review:moderate',
+  MESSAGE_SEND: 'message:send',
+  MESSAGE_READ_ALL: 'message:read:all',
+  PAYMENT_REFUND: 'payment:refund',
+  DISPUTE_OPEN: 'dispute:open',
+  DISPUTE_RESOLVE: 'dispute:resolve',
+  EARNINGS_READ_OWN: 'earnings:read:own',
+  PAYOUT_MANAGE: 'payout:manage',
+  VERIFICATION_SUBMIT: 'verification:submit',
+  VERIFICATION_REVIEW: 'verification:review',
+  SETTINGS_MANAGE: 'settings:manage',
+  SCHEDULE_MANAGE: 'schedule:manage',
+  SESSION_MANAGE: 'session:manage',
+  SESSION_ATTEND: 'session:attend',
+  SESSION_READ_ALL: 'session:read:all',
+  SUBSCRIPTION_MANAGE: 'subscription:manage',
+  AUDIT_READ: 'audit:read',
+};
+
+const P = PERMISSIONS;
+
+const rolePermissions = {
+  [ROLES.STUDENT]: [
+    P.PROFILE_MANAGE,
+    P.TUITION_CREATE,
+    P.TUITION_MANAGE_OWN,
+    P.APPLICATION_REVIEW,
+    P.PAYMENT_CREATE,
+    P.PAYMENT_READ_OWN,
+    P.REVIEW_CREATE,
+    P.MESSAGE_SEND,
+    P.DISPUTE_OPEN,
+    P.SCHEDULE_MANAGE,
+    P.SESSION_ATTEND,
+    P.SUBSCRIPTION_MANAGE,
+  ],
+  [ROLES.TEACHER]: [
+    P.PROFILE_MANAGE,
+    P.TUITION_DETAILS,
+    P.APPLICATION_CREATE,
+    P.APPLICATION_MANAGE_OWN,
+    P.PAYMENT_READ_OWN,
+    P.REVIEW_REPLY,
+    P.MESSAGE_SEND,
+    P.EARNINGS_READ_OWN,
+    P.VERIFICATION_SUBMIT,
+    P.SCHEDULE_MANAGE,
+    P.SESSION_MANAGE,
+  ],
+  // moderators review posts, they can not touch users or money
+  [ROLES.MODERATOR]: [P.PROFILE_MANAGE, P.TUITION_READ_ALL, P.TUITION_DETAILS, P.TUITION_MODERATE, P.REVIEW_MODERATE],
+  [ROLES.ADMIN]: [
+    P.PROFILE_MANAGE,
+    P.USER_READ,
+    P.USER_MANAGE,
+    P.USER_DELETE,
+    P.TUITION_READ_ALL,
+    P.TUITION_DETAILS,
+    P.TUITION_MODERATE,
+    P.TUITION_LIFECYCLE,
+    P.PAYMENT_READ_ALL,
+    P.ANALYTICS_READ,
+    P.REVIEW_MODERATE,
+    P.MESSAGE_READ_ALL,
+    P.PAYMENT_REFUND,
+    P.DISPUTE_RESOLVE,
+    P.PAYOUT_MANAGE,
+    P.VERIFICATION_REVIEW,
+    P.SETTINGS_MANAGE,
+    P.SESSION_READ_ALL,
+    P.SUBSCRIPTION_MANAGE,
+    P.AUDIT_READ,
+  ],
+};
+
+export const isRole = (role) => Object.values(ROLES).includes(role);
+
+export const hasPermission = (role, permission) => (rolePermissions[role] || []).includes(permission);
+
+// passes when the caller has any of the given permissions, use after verifyJwtToken.
+// the middleware is named so the access tests can tell a route that checks permissions from one that doesn't
+export const requirePermission = (...permissions) => {
+  const checkPermission = (req, res, next) => {
+    const role = req.decoded?.userType;
+
+    if (!permissions.some((permission) => hasPermission(role, permission))) {
+      return next(new ForbiddenError('You do not have permission for this action'));
+    }
+
+    next();
+  };
+
+  return checkPermission;
+};
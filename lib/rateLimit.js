@@ -0,0 +1,94 @@
+import { TooManyRequestsError } from './errors.js';
+
+// ---------- rate limiting ----------
+// fixed window counters behind a small store interface:
+//   store.increment(key, windowMs) -> Promise<{ count, resetAt }>
+//   store.reset(key) -> Promise<void>
+// the memory store is per process, a shared store (redis, mongo, ...) only has to implement the same two methods
+
+export const createMemoryStore = ({ now = Date.now } = {}) => {
+  const windows = new Map();
+
+  // drop finished windows so the map doesn't grow with every ip ever seen
+  const sweep = (time) => {
+    windows.forEach((entry, key) => {
+      if (entry.resetAt <= time) windows.delete(key);
+    });
+  };
+
+  return {
+    async increment(key, windowMs) {
+      const time = now();
+      let entry = windows.get(key);
+
+      if (!entry || entry.resetAt <= time) {
+        if (windows.size >= 10000) sweep(time);
+        entry = { count: 0, resetAt: time + windowMs };
+        windows.set(key, entry);
+      }
+
+      entry.count += 1;
+      return { count: entry.count, resetAt: entry.resetAt };
+    },
+
+    async reset(key) {
+      windows.delete(key);
+    },
+  };
+};
+
+export const keyByIp = (req) => req.ip;
+
+// falls back to the ip for anonymous requests, so put it after verifyJwtToken
+export const keyByUser = (req) => (req.decoded?.uid ? `uid:${req.decoded.uid}` : req.ip);
+
+export const retryAfterSeconds = (resetAt, now = Date.now()) => Math.max(1, Math.ceil((resetAt - now) / 1000));
+
+// max <= 0 turns the limit off
+export const rateLimit = ({ name, windowMs, max, store, keyBy = keyByIp }) => {
+  return async (req, res, next) => {
+    if (!max || max <= 0) return next();
+
+    const { count, resetAt } = await store.increment(`${name}:${keyBy(req)}`, windowMs);
+    const retryAfter = retryAfterSeconds(resetAt);
+
+    res.set({
+      'RateLimit-Limit': String(max),
+      'RateLimit-Remaining': String(Math.max(0, max - count)),
+      'RateLimit-Reset': String(retryAfter),
+    });
+
+    if (count > max) {
+      req.log?.warn('rate limit exceeded', { limit: name, key: keyBy(req) });
+      throw new TooManyRequestsError('Too many requests, please try again later.', { retryAfter });
+    }
+
+    next();
+  };
+};
+
+// limits can be tuned per deployment, e.g. RATE_LIMIT_AUTH_MAX=20 RATE_LIMIT_AUTH_WINDOW_MS=60000
+export const limitFromEnv = (name, defaults, env = process.env) => {
+  const prefix = `RATE_LIMIT_${name.toUpperCase()}`;
+  const max = Number(env[`${prefix}_MAX`] ?? defaults.max);
+  const windowMs = Number(env[`${prefix}_WINDOW_MS`] ?? defaults.windowMs);
+
+  return { name, max: Number.isFinite(max) ? max : defaults.max, windowMs: windowMs > 0 ? windowMs : defaults.windowMs };
+};
+
+// ---------- daily quotas ----------
+// quotas count documents created since UTC midnight, so they hold across serverless instances
+
+export const quotaWindow = (now = new Date()) => {
+  const since = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+  const resetAt = new Date(since.getTime() + 24 * 60 * 60 * 1000);
+  return { since, resetAt };
+};
+
+// quota <= 0 means unlimited
+export const assertQuota = ({ used, quota, message, now = new Date() }) => {
+  if (!quota || quota <= 0 || used < quota) return;
+
+  const { resetAt } = quotaWindow(now);
+  throw new TooManyRequestsError(message, { retryAfter: retryAfterSeconds(resetAt.getTime(), now.getTime()), code: 'QUOTA_EXCEEDED' });
+};
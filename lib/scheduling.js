@@ -0,0 +1,171 @@
+// ---------- tuition scheduling ----------
+// a weekly schedule { timezone, slots: [{ day, start: 'HH:MM', durationMinutes }] } is expanded into
+// session documents; times are wall clock in the schedule's timezone and stored as UTC dates
+
+export const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+export const SESSION_STATUS = {
+  SCHEDULED: 'scheduled',
+  HELD: 'held',
+  CANCELLED: 'cancelled',
+};
+
+const { SCHEDULED, HELD, CANCELLED } = SESSION_STATUS;
+
+// tutor marks a session once, held sessions can still be cancelled if marked by mistake
+const transitions = {
+  [SCHEDULED]: [HELD, CANCELLED],
+  [HELD]: [CANCELLED],
+  [CANCELLED]: [],
+};
+
+export const canTransitionSession = (from, to) => (transitions[from] || []).includes(to);
+
+export const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+export const isTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+};
+
+// wall clock parts of a UTC instant in a timezone
+const zonedParts = (date, timezone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric',
+  }).formatToParts(date);
+
+  const value = (type) => Number(parts.find((part) => part.type === type).value);
+  return {
+    year: value('year'),
+    month: value('month'),
+    day: value('day'),
+    hour: value('hour'),
+    minute: value('minute'),
+    second: value('second'),
+  };
+};
+
+const offsetAt = (date, timezone) => {
+  const p = zonedParts(date, timezone);
+  return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+// UTC instant of a wall clock time, checked twice so DST changes land on the right offset
+export const zonedTimeToUtc = ({ year, month, day, hour, minute }, timezone) => {
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+  const guess = new Date(wallClock - offsetAt(new Date(wallClock), timezone));
+  return new Date(wallClock - offsetAt(guess, timezone));
+};
+
+// session slots between from and from + weeks, in start order
+export const expandSchedule = (schedule, { from = new Date(), weeks = 4 } = {}) => {
+  const { timezone, slots = [] } = schedule;
+  const today = zonedParts(from, timezone);
+  const until = from.getTime() + weeks * 7 * 24 * 60 * 60 * 1000;
+  const sessions = [];
+
+  for (let offset = 0; offset <= weeks * 7; offset += 1) {
+    // plain calendar arithmetic, the UTC date only carries year/month/day here
+    const date = new Date(Date.UTC(today.year, today.month - 1, today.day + offset));
+    const day = WEEKDAYS[date.getUTCDay()];
+
+    slots
+      .filter((slot) => slot.day === day)
+      .forEach((slot) => {
+        const [hour, minute] = slot.start.split(':').map(Number);
+        const startsAt = zonedTimeToUtc(
+          { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate(), hour, minute },
+          timezone
+        );
+
+        if (startsAt < from || startsAt.getTime() >= until) return;
+
+        sessions.push({ startsAt, endsAt: new Date(startsAt.getTime() + slot.durationMinutes * 60 * 1000) });
+      });
+  }
+
+  return sessions.sort((a, b) => a.startsAt - b.startsAt);
+};
+
+// overlapping slots on the same day would create double bookings
+export const findSlotOverlap = (slots) => {
+  const toRange = (slot) => {
+    const [hour, minute] = slot.start.split(':').map(Number);
+    const start = WEEKDAYS.indexOf(slot.day) * 24 * 60 + hour * 60 + minute;
+    return { slot, start, end: start + slot.durationMinutes };
+  };
+
+  const ranges = slots.map(toRange).sort((a, b) => a.start - b.start);
+  const index = ranges.findIndex((range, i) => i > 0 && range.start < ranges[i - 1].end);
+
+  return index === -1 ? null : [ranges[index - 1].slot, ranges[index].slot];
+};
+
+// ---------- iCalendar ----------
+// RFC 5545, enough for calendar apps to subscribe to a feed
+
+const escapeText = (value = '') => String(value).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+
+const formatDate = (date) =>
+  new Date(date)
+    .toISOString()
+    .replace(/[-:]/g, '')
+    .replace(/\.\d{3}/, '');
+
+// content lines are folded at 75 octets, continuation lines start with a space
+const foldLine = (line) => {
+  const chunks = [];
+  let rest = Buffer.from(line, 'utf8');
+
+  while (rest.length > 75) {
+    let cut = chunks.length ? 74 : 75;
+    // never split a multi byte character
+    while ((rest[cut] & 0xc0) === 0x80) cut -= 1;
+    chunks.push(rest.subarray(0, cut).toString('utf8'));
+    rest = rest.subarray(cut);
+  }
+
+  chunks.push(rest.toString('utf8'));
+  return chunks.join('\r\n ');
+};
+
+// events: [{ uid, startsAt, endsAt, summary, description, location, status, updatedAt }]
+export const buildCalendar = ({ name, events, now = new Date() }) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//EduBridge//Tuition sessions//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+  ];
+
+  events.forEach((event) => {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event.uid}`,
+      `DTSTAMP:${formatDate(event.updatedAt || now)}`,
+      `DTSTART:${formatDate(event.startsAt)}`,
+      `DTEND:${formatDate(event.endsAt)}`,
+      `SUMMARY:${escapeText(event.summary)}`,
+      ...(event.description ? [`DESCRIPTION:${escapeText(event.description)}`] : []),
+      ...(event.location ? [`LOCATION:${escapeText(event.location)}`] : []),
+      `STATUS:${event.status === CANCELLED ? 'CANCELLED' : 'CONFIRMED'}`,
+      'END:VEVENT'
+    );
+  });
+
+  lines.push('END:VCALENDAR');
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
@@ -0,0 +1,193 @@
+import { ObjectId } from 'mongodb';
+import { TUITION_STATUS, postStatusFor, historyEntry } from './tuitionLifecycle.js';
+import { APPLICATION_STATUS } from './applicationWorkflow.js';
+import { paymentEntry } from './ledger.js';
+
+// ---------- demo data ----------
+// a small but realistic data set for local development, every document carries `demo: true` so it can be removed again.
+// demo accounts have no firebase user behind them, sign up through the app to log in
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const SUBJECTS = ['Mathematics', 'Physics', 'Chemistry', 'English', 'Biology', 'ICT'];
+const CLASSES = ['Class 6', 'Class 8', 'SSC', 'HSC', 'O Level', 'A Level'];
+const AREAS = ['Dhanmondi, Dhaka', 'Mirpur, Dhaka', 'Uttara, Dhaka', 'Agrabad, Chattogram', 'Zindabazar, Sylhet'];
+
+const TEACHERS = ['Nusrat Jahan', 'Tanvir Ahmed', 'Farhana Akter', 'Rakib Hasan', 'Sadia Islam'];
+const STUDENTS = ['Arif Hossain', 'Mim Rahman', 'Sabbir Khan', 'Tasnim Chowdhury', 'Imran Kabir'];
+
+const slug = (name) => name.toLowerCase().replace(/\s+/g, '.');
+
+const demoUser = (name, userType, index, now) => ({
+  firebaseUID: `demo-${userType}-${index + 1}`,
+  name,
+  email: `${slug(name)}@demo.edubridge.test`,
+  userType,
+  phone: `+88017000000${index}${userType === 'teacher' ? 1 : 2}`,
+  location: AREAS[index % AREAS.length],
+  ...(userType === 'teacher' && {
+    subject: SUBJECTS[index % SUBJECTS.length],
+    teachingClass: CLASSES[(index + 2) % CLASSES.length],
+    expectedSalary: 4000 + index * 1000,
+    verified: index % 2 === 0,
+  }),
+  ...(userType === 'student' && { classLevel: CLASSES[index % CLASSES.length] }),
+  createdAt: new Date(now - (60 - index * 5) * DAY),
+  demo: true,
+});
+
+// the same documents for the same `now`, apart from fresh ObjectIds
+export const buildDemoData = ({ now = Date.now(), feePercent = 10 } = {}) => {
+  const admin = demoUser('Demo Admin', 'admin', 0, now);
+  const teachers = TEACHERS.map((name, index) => demoUser(name, 'teacher', index, now));
+  const students = STUDENTS.map((name, index) => demoUser(name, 'student', index, now));
+
+  const tuitions = [];
+  const applications = [];
+  const payments = [];
+  const ledger = [];
+  const reviews = [];
+
+  const system = { system: 'seed' };
+
+  // one post per student and subject mix, the first ones move further through the lifecycle
+  const plan = [
+    TUITION_STATUS.COMPLETED,
+    TUITION_STATUS.PAID,
+    TUITION_STATUS.OPEN,
+    TUITION_STATUS.OPEN,
+    TUITION_STATUS.OPEN,
+    TUITION_STATUS.OPEN,
+    TUITION_STATUS.PENDING_REVIEW,
+    TUITION_STATUS.DRAFT,
+  ];
+
+  plan.forEach((status, index) => {
+    const student = students[index % students.length];
+    const subject = SUBJECTS[index % SUBJECTS.length];
+    const createdAt = new Date(now - (30 - index * 3) * DAY);
+    const budget = 3000 + (index % 4) * 1500;
+
+    const tuition = {
+      _id: new ObjectId(),
+      title: `${subject} tutor needed for ${CLASSES[index % CLASSES.length]}`,
+      subject,
+      classLevel: CLASSES[index % CLASSES.length],
+      location: AREAS[index % AREAS.length],
+      budget,
+      daysPerWeek: 3 + (index % 3),
+      description: `Looking for a patient ${subject.toLowerCase()} tutor, ${3 + (index % 3)} days a week in the evening.`,
+      studentId: student.firebaseUID,
+      status,
+      postStatus: postStatusFor(status),
+      statusHistory: [historyEntry(null, status, system, 'seeded')],
+      createdAt,
+      demo: true,
+    };
+
+    tuitions.push(tuition);
+
+    if ([TUITION_STATUS.DRAFT, TUITION_STATUS.PENDING_REVIEW].includes(status)) return;
+
+    // two or three applicants per post
+    const applicants = teachers.filter((teacher, t) => (t + index) % 2 === 0 || t === index % teachers.length).slice(0, 3);
+    const hired = [TUITION_STATUS.PAID, TUITION_STATUS.COMPLETED].includes(status);
+
+    applicants.forEach((teacher, a) => {
+      const applyStatus = !hired
+        ? a === 0
+          ? APPLICATION_STATUS.SHORTLISTED
+          : APPLICATION_STATUS.PENDING
+        : a === 0
+        ? APPLICATION_STATUS.HIRED
+        : APPLICATION_STATUS.REJECTED;
+
+      const application = {
+        _id: new ObjectId(),
+        tuitionId: tuition._id,
+        tutorId: teacher.firebaseUID,
+        studentId: student.firebaseUID,
+        tutorName: teacher.name,
+        tutorEmail: teacher.email,
+        qualification: `BSc in ${teacher.subject}`,
+        experience: `${2 + a} years of home tutoring`,
+        expectedSalary: budget + a * 500,
+        applyStatus,
+        ...(applyStatus === APPLICATION_STATUS.REJECTED && { closedByHire: true }),
+        createdAt: new Date(createdAt.getTime() + (a + 1) * DAY),
+        demo: true,
+      };
+
+      applications.push(application);
+
+      if (applyStatus !== APPLICATION_STATUS.HIRED) return;
+
+      const paidAt = new Date(createdAt.getTime() + 5 * DAY);
+      const adminFee = Math.round((application.expectedSalary * feePercent) / 100);
+
+      Object.assign(application, {
+        paymentStatus: 'paid',
+        paidAt,
+        salary: String(application.expectedSalary),
+        tuitionTitle: tuition.title,
+      });
+      Object.assign(tuition, { salary: String(application.expectedSalary), paymentStatus: 'paid', paidAt });
+
+      const payment = {
+        tuitionId: tuition._id.toString(),
+        applicationId: application._id.toString(),
+        tutorId: teacher.firebaseUID,
+        studentId: student.firebaseUID,
+        tuitionTitle: tuition.title,
+        studentName: student.name,
+        studentEmail: student.email,
+        amount: application.expectedSalary,
+        tutorAmount: application.expectedSalary - adminFee,
+        adminFee,
+        billing: 'one_time',
+        status: 'paid',
+        paidAt,
+        stripeSessionId: `cs_demo_${tuition._id}`,
+        paymentIntentId: `pi_demo_${tuition._id}`,
+        demo: true,
+      };
+
+      payments.push(payment);
+      ledger.push({ ...paymentEntry(payment), createdAt: paidAt, demo: true });
+
+      if (status === TUITION_STATUS.COMPLETED) {
+        reviews.push({
+          tuitionId: tuition._id,
+          applicationId: application._id,
+          tutorId: teacher.firebaseUID,
+          studentId: student.firebaseUID,
+          studentName: student.name,
+          rating: 5,
+          comment: 'Explains every topic patiently, my results improved a lot.',
+          reply: null,
+          status: 'published',
+          createdAt: new Date(paidAt.getTime() + 20 * DAY),
+          demo: true,
+        });
+      }
+    });
+  });
+
+  // rating summary the app keeps on the tutor document
+  reviews.forEach((review) => {
+    const teacher = teachers.find((t) => t.firebaseUID === review.tutorId);
+    teacher.rating = { average: review.rating, count: 1 };
+  });
+
+  return { users: [admin, ...teachers, ...students], tuitions, applications, payments, ledger, reviews };
+};
+
+// collection name for each key of buildDemoData()
+export const DEMO_COLLECTIONS = {
+  users: 'users',
+  tuitions: 'tuitions',
+  applications: 'applications',
+  payments: 'payments',
+  ledger: 'ledger',
+  reviews: 'reviews',
+};
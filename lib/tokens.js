@@ -0,0 +1,17 @@
+import crypto from 'crypto';
+
+// ---------- auth tokens ----------
+// short lived JWT access tokens + opaque refresh tokens, only the hash of a refresh token is stored.
+// the lifetimes are read on every call, so env set after import (dotenv, tests) still applies
+
+export const accessTokenTtl = () => process.env.ACCESS_TOKEN_TTL || '15m';
+const refreshTokenTtlDays = () => Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+export const generateRefreshToken = () => crypto.randomBytes(48).toString('base64url');
+
+export const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// calendar feed urls carry their own token, calendar apps can't send an Authorization header
+export const generateCalendarToken = () => crypto.randomBytes(24).toString('base64url');
+
+export const refreshTokenExpiry = () => new Date(Date.now() + refreshTokenTtlDays() * 24 * 60 * 60 * 1000);
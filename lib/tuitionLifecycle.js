@@ -0,0 +1,84 @@
+// ---------- tuition lifecycle ----------
+// draft -> pending_review -> open (approved) -> tutor_selected -> paid -> ongoing -> completed
+// rejected posts go back to review after an edit, anything before completion can be cancelled
+
+export const TUITION_STATUS = {
+  DRAFT: 'draft',
+  PENDING_REVIEW: 'pending_review',
+  REJECTED: 'rejected',
+  OPEN: 'open',
+  TUTOR_SELECTED: 'tutor_selected',
+  PAID: 'paid',
+  ONGOING: 'ongoing',
+  COMPLETED: 'completed',
+  CANCELLED: 'cancelled',
+};
+
+const { DRAFT, PENDING_REVIEW, REJECTED, OPEN, TUTOR_SELECTED, PAID, ONGOING, COMPLETED, CANCELLED } = TUITION_STATUS;
+
+const transitions = {
+  [DRAFT]: [PENDING_REVIEW, CANCELLED],
+  [PENDING_REVIEW]: [OPEN, REJECTED, CANCELLED],
+  [REJECTED]: [PENDING_REVIEW, CANCELLED],
+  [OPEN]: [PENDING_REVIEW, TUTOR_SELECTED, CANCELLED],
+  [TUTOR_SELECTED]: [OPEN, PAID, CANCELLED],
+  // paid -> open happens when a hire is refunded
+  [PAID]: [ONGOING, OPEN, CANCELLED],
+  [ONGOING]: [COMPLETED, CANCELLED],
+  [COMPLETED]: [],
+  [CANCELLED]: [],
+};
+
+// transitions a student may do on their own post
+const studentTransitions = {
+  [DRAFT]: [PENDING_REVIEW, CANCELLED],
+  [PENDING_REVIEW]: [CANCELLED],
+  [REJECTED]: [PENDING_REVIEW, CANCELLED],
+  [OPEN]: [CANCELLED],
+  [TUTOR_SELECTED]: [CANCELLED],
+  // paid -> ongoing is the tutor marking the first session held, completing also needs a held session
+  [ONGOING]: [COMPLETED],
+};
+
+// states where the student can still edit the post
+export const EDITABLE_STATUSES = [DRAFT, PENDING_REVIEW, REJECTED, OPEN];
+
+// a tutor is hired, lessons can be scheduled
+export const SCHEDULABLE_STATUSES = [PAID, ONGOING];
+
+export const isTuitionStatus = (status) => Object.values(TUITION_STATUS).includes(status);
+
+export const canTransition = (from, to) => (transitions[from] || []).includes(to);
+
+export const canStudentTransition = (from, to) => (studentTransitions[from] || []).includes(to);
+
+// selecting a tutor, the paid checkout and a refund reopening the post follow money, an admin can not set them by hand
+const paymentDriven = (from, to) => to === TUTOR_SELECTED || to === PAID || (from === PAID && to === OPEN);
+
+export const canAdminTransition = (from, to) => canTransition(from, to) && !paymentDriven(from, to);
+
+// legacy posts only have status 'open'/'selected' plus postStatus
+export const currentTuitionStatus = (tuition) => {
+  const { status, postStatus, paymentStatus } = tuition;
+
+  if (status === 'selected') return paymentStatus === 'paid' ? PAID : TUTOR_SELECTED;
+  if (status === OPEN && postStatus !== 'approved') return postStatus === 'rejected' ? REJECTED : PENDING_REVIEW;
+
+  return status;
+};
+
+// postStatus is kept in sync for clients that still read it
+export const postStatusFor = (status) => {
+  if (status === DRAFT) return 'draft';
+  if (status === PENDING_REVIEW) return 'pending';
+  if (status === REJECTED) return 'rejected';
+  return 'approved';
+};
+
+export const historyEntry = (from, to, actor, reason) => ({
+  from,
+  to,
+  actor,
+  reason: reason || null,
+  at: new Date(),
+});
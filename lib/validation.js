@@ -0,0 +1,314 @@
+import { ObjectId } from 'mongodb';
+import { ROLES } from './permissions.js';
+import { ValidationError } from './errors.js';
+import { WEEKDAYS, TIME_PATTERN } from './scheduling.js';
+
+// ---------- request validation ----------
+// small schema format: { field: { type, required, enum, min, max, integer, maxLength, pattern } },
+// arrays take { type: 'array', items: <schema>, maxItems }
+// unknown fields are stripped, failures become a ValidationError (400 with a list of field errors)
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const checkField = (field, rule, value) => {
+  switch (rule.type) {
+    case 'string': {
+      if (typeof value !== 'string') return { error: `${field} must be a string` };
+      const trimmed = value.trim();
+      if (rule.required && !trimmed) return { error: `${field} is required` };
+      if (rule.maxLength && trimmed.length > rule.maxLength) return { error: `${field} must be at most ${rule.maxLength} characters` };
+      if (rule.pattern && !rule.pattern.test(trimmed)) return { error: `${field} is not valid` };
+      if (rule.enum && !rule.enum.includes(trimmed)) return { error: `${field} must be one of ${rule.enum.join(', ')}` };
+      return { value: trimmed };
+    }
+
+    // numbers may come in as numeric strings from forms
+    case 'number': {
+      const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+      if (typeof number !== 'number' || !Number.isFinite(number)) return { error: `${field} must be a number` };
+      if (rule.integer && !Number.isInteger(number)) return { error: `${field} must be a whole number` };
+      if (rule.min !== undefined && number < rule.min) return { error: `${field} must be at least ${rule.min}` };
+      if (rule.max !== undefined && number > rule.max) return { error: `${field} must be at most ${rule.max}` };
+      return { value: number };
+    }
+
+    case 'boolean':
+      if (typeof value !== 'boolean') return { error: `${field} must be true or false` };
+      return { value };
+
+    case 'objectId':
+      if (!ObjectId.isValid(value)) return { error: `${field} must be a valid id` };
+      return { value: String(value) };
+
+    case 'array': {
+      if (!Array.isArray(value)) return { error: `${field} must be a list` };
+      if (rule.required && value.length === 0) return { error: `${field} is required` };
+      if (rule.maxItems && value.length > rule.maxItems) return { error: `${field} can have at most ${rule.maxItems} items` };
+
+      const results = value.map((item) => validate(rule.items, item));
+      const itemErrors = results.flatMap((result, index) =>
+        result.errors.map((error) => ({ field: `${field}[${index}].${error.field}`, message: error.message }))
+      );
+
+      if (itemErrors.length) return { errors: itemErrors };
+      return { value: results.map((result) => result.value) };
+    }
+
+    default:
+      return { error: `${field} has an unknown type` };
+  }
+};
+
+export const validate = (schema, body) => {
+  const errors = [];
+  const value = {};
+  const input = body && typeof body === 'object' ? body : {};
+
+  Object.entries(schema).forEach(([field, rule]) => {
+    const raw = input[field];
+
+    if (raw === undefined || raw === null || raw === '') {
+      if (rule.required) errors.push({ field, message: `${field} is required` });
+      return;
+    }
+
+    const result = checkField(field, rule, raw);
+
+    if (result.error) errors.push({ field, message: result.error });
+    else if (result.errors) errors.push(...result.errors);
+    else value[field] = result.value;
+  });
+
+  return { errors, value };
+};
+
+// replaces req.body with the cleaned copy
+export const validateBody = (schema) => (req, res, next) => {
+  const { errors, value } = validate(schema, req.body);
+
+  if (errors.length) return next(new ValidationError(errors));
+
+  req.body = value;
+  next();
+};
+
+// used with app.param for every :id route
+export const validateObjectIdParam = (req, res, next, id, name) => {
+  if (!ObjectId.isValid(id)) {
+    return next(new ValidationError([{ field: name, message: `${name} must be a valid id` }]));
+  }
+  next();
+};
+
+// ---------- schemas ----------
+const text = (maxLength = 200) => ({ type: 'string', maxLength });
+const requiredText = (maxLength = 200) => ({ type: 'string', required: true, maxLength });
+
+const profileFields = {
+  name: text(100),
+  phone: text(30),
+  location: text(200),
+  classLevel: text(50),
+  teachingClass: text(100),
+  subject: text(100),
+  expectedSalary: { type: 'number', min: 1 },
+};
+
+export const schemas = {
+  signup: {
+    ...profileFields,
+    name: requiredText(100),
+    email: { type: 'string', required: true, maxLength: 200, pattern: EMAIL_PATTERN },
+    firebaseUID: requiredText(128),
+    userType: { type: 'string', required: true, enum: ['student', 'teacher'] },
+    photoURL: text(1000),
+  },
+
+  userUpdate: profileFields,
+
+  userPhoto: {
+    photoURL: requiredText(1000),
+  },
+
+  adminUserUpdate: {
+    ...profileFields,
+    userType: { type: 'string', enum: Object.values(ROLES) },
+  },
+
+  tuitionCreate: {
+    title: requiredText(150),
+    classLevel: requiredText(50),
+    subject: requiredText(100),
+    location: requiredText(200),
+    budget: { type: 'number', required: true, min: 1 },
+    description: text(2000),
+    daysPerWeek: { type: 'number', min: 1, max: 7 },
+    draft: { type: 'boolean' },
+  },
+
+  tuitionUpdate: {
+    title: text(150),
+    classLevel: text(50),
+    subject: text(100),
+    location: text(200),
+    budget: { type: 'number', min: 1 },
+    description: text(2000),
+    daysPerWeek: { type: 'number', min: 1, max: 7 },
+  },
+
+  statusChange: {
+    status: requiredText(30),
+    reason: text(500),
+  },
+
+  adminTuitionStatus: {
+    status: text(30),
+    postStatus: { type: 'string', enum: ['approved', 'rejected'] },
+    reason: text(500),
+  },
+
+  applicationCreate: {
+    qualification: requiredText(500),
+    experience: requiredText(500),
+    expectedSalary: { type: 'number', required: true, min: 1 },
+    tutorName: text(100),
+    tutorEmail: { type: 'string', maxLength: 200, pattern: EMAIL_PATTERN },
+    tutorPhoto: text(1000),
+    message: text(2000),
+  },
+
+  applicationUpdate: {
+    qualification: text(500),
+    experience: text(500),
+    expectedSalary: { type: 'number', min: 1 },
+  },
+
+  applicationStatus: {
+    applyStatus: requiredText(30),
+    reason: text(500),
+  },
+
+  reason: {
+    reason: text(500),
+  },
+
+  review: {
+    rating: { type: 'number', required: true, integer: true, min: 1, max: 5 },
+    comment: requiredText(2000),
+  },
+
+  reviewReply: {
+    reply: requiredText(2000),
+  },
+
+  reviewModeration: {
+    status: { type: 'string', required: true, enum: ['published', 'hidden'] },
+    reason: text(500),
+  },
+
+  message: {
+    body: requiredText(2000),
+  },
+
+  notificationPreference: {
+    event: requiredText(50),
+    inApp: { type: 'boolean' },
+    email: { type: 'boolean' },
+  },
+
+  refund: {
+    // BDT, the whole remaining amount when left out
+    amount: { type: 'number', min: 1 },
+    reason: text(500),
+    tuitionAction: { type: 'string', enum: ['reopen', 'cancel'] },
+  },
+
+  dispute: {
+    reason: requiredText(2000),
+  },
+
+  disputeResolution: {
+    outcome: { type: 'string', required: true, enum: ['refund', 'reject'] },
+    amount: { type: 'number', min: 1 },
+    note: text(2000),
+    tuitionAction: { type: 'string', enum: ['reopen', 'cancel'] },
+  },
+
+  payout: {
+    tutorId: requiredText(128),
+    amount: { type: 'number', required: true, min: 1 },
+    method: text(50),
+    externalReference: text(200),
+    note: text(500),
+  },
+
+  verification: {
+    documents: {
+      type: 'array',
+      required: true,
+      maxItems: 10,
+      items: {
+        type: { type: 'string', required: true, enum: ['certificate', 'national_id'] },
+        url: requiredText(1000),
+        name: text(200),
+      },
+    },
+  },
+
+  verificationReview: {
+    status: { type: 'string', required: true, enum: ['approved', 'rejected'] },
+    note: text(1000),
+  },
+
+  platformSettings: {
+    requireVerifiedTutors: { type: 'boolean' },
+    dailyApplicationQuota: { type: 'number', integer: true, min: 0, max: 1000 },
+    dailyTuitionPostQuota: { type: 'number', integer: true, min: 0, max: 1000 },
+  },
+
+  // a firebase id token, a signed jwt
+  firebaseToken: {
+    token: requiredText(4096),
+  },
+
+  refreshToken: {
+    refreshToken: requiredText(200),
+  },
+
+  schedule: {
+    timezone: requiredText(64),
+    slots: {
+      type: 'array',
+      required: true,
+      maxItems: 14,
+      items: {
+        day: { type: 'string', required: true, enum: WEEKDAYS },
+        start: { type: 'string', required: true, pattern: TIME_PATTERN },
+        durationMinutes: { type: 'number', required: true, integer: true, min: 15, max: 480 },
+      },
+    },
+    weeks: { type: 'number', integer: true, min: 1, max: 12 },
+  },
+
+  sessionStatus: {
+    status: { type: 'string', required: true, enum: ['held', 'cancelled'] },
+    note: text(500),
+  },
+
+  attendance: {
+    attended: { type: 'boolean', required: true },
+    note: text(500),
+  },
+
+  checkout: {
+    tuitionId: { type: 'objectId', required: true },
+    applicationId: { type: 'objectId', required: true },
+    // monthly starts a stripe subscription for the salary
+    billing: { type: 'string', enum: ['one_time', 'monthly'] },
+  },
+
+  subscriptionCancel: {
+    atPeriodEnd: { type: 'boolean' },
+    reason: text(500),
+  },
+};
@@ -0,0 +1,63 @@
+import { indexMigration } from '../lib/migrations.js';
+
+// the indexes initDB used to create on every cold start, same keys so existing deployments just record them
+export default {
+  version: 1,
+  name: 'baseline-indexes',
+  ...indexMigration({
+    tuitions: [
+      { key: { status: 1, postStatus: 1, createdAt: -1 } },
+      { key: { status: 1, postStatus: 1, subject: 1 } },
+      { key: { status: 1, postStatus: 1, classLevel: 1 } },
+      { key: { title: 'text', subject: 'text' }, name: 'tuitions_text' },
+      { key: { studentId: 1, createdAt: -1 } },
+    ],
+    applications: [{ key: { tutorId: 1, createdAt: -1 } }],
+    users: [
+      { key: { userType: 1, createdAt: -1 } },
+      { key: { userType: 1, subject: 1 } },
+      { key: { userType: 1, teachingClass: 1 } },
+      { key: { 'deletion.scheduledFor': 1 }, sparse: true },
+      { key: { 'calendarFeed.tokenHash': 1 }, sparse: true },
+      { key: { name: 'text', subject: 'text' }, name: 'users_text' },
+    ],
+    reviews: [{ key: { tuitionId: 1 }, unique: true }, { key: { tutorId: 1, status: 1, createdAt: -1 } }],
+    messages: [{ key: { applicationId: 1, _id: -1 } }, { key: { participants: 1, readBy: 1 } }],
+    notifications: [{ key: { uid: 1, read: 1, createdAt: -1 } }],
+    payments: [
+      { key: { stripeSessionId: 1 }, unique: true },
+      { key: { paymentIntentId: 1 } },
+      { key: { subscriptionId: 1, 'billingPeriod.start': -1 }, sparse: true },
+    ],
+    auditLog: [
+      { key: { createdAt: -1 } },
+      { key: { 'actor.uid': 1, createdAt: -1 } },
+      { key: { 'target.type': 1, 'target.id': 1, createdAt: -1 } },
+      { key: { action: 1, createdAt: -1 } },
+    ],
+    subscriptions: [
+      { key: { stripeSubscriptionId: 1 }, unique: true },
+      { key: { studentId: 1, createdAt: -1 } },
+      { key: { tutorId: 1, createdAt: -1 } },
+    ],
+    disputes: [{ key: { stripeSessionId: 1, status: 1 } }, { key: { studentId: 1, createdAt: -1 } }],
+    ledger: [
+      { key: { reference: 1 }, unique: true },
+      { key: { 'lines.account': 1, createdAt: 1 } },
+      { key: { tutorId: 1, type: 1, createdAt: -1 } },
+    ],
+    sessions: [
+      { key: { tuitionId: 1, startsAt: 1 }, unique: true },
+      { key: { studentId: 1, startsAt: 1 } },
+      { key: { tutorId: 1, startsAt: 1 } },
+    ],
+    verifications: [{ key: { status: 1, submittedAt: 1 } }, { key: { tutorId: 1, submittedAt: -1 } }],
+    refreshTokens: [
+      { key: { tokenHash: 1 }, unique: true },
+      { key: { uid: 1 } },
+      { key: { family: 1 } },
+      // expired refresh tokens are dropped by mongo
+      { key: { expiresAt: 1 }, expireAfterSeconds: 0 },
+    ],
+  }),
+};
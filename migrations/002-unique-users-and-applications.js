@@ -0,0 +1,53 @@
+import { indexMigration } from '../lib/migrations.js';
+
+// the duplicate checks in /signup and POST /applications/:id can race, these make the second insert fail instead
+const indexes = indexMigration({
+  users: [
+    { key: { email: 1 }, name: 'users_email_unique', unique: true, partialFilterExpression: { email: { $type: 'string' } } },
+    {
+      key: { firebaseUID: 1 },
+      name: 'users_firebaseUID_unique',
+      unique: true,
+      partialFilterExpression: { firebaseUID: { $type: 'string' } },
+    },
+  ],
+  applications: [{ key: { tuitionId: 1, tutorId: 1 }, name: 'applications_tuition_tutor_unique', unique: true }],
+});
+
+// index builds fail on existing duplicates, list them so they can be merged by hand instead of guessing which one to drop
+const findDuplicates = (db, collection, fields) =>
+  db
+    .collection(collection)
+    .aggregate([
+      { $match: Object.fromEntries(fields.map((field) => [field, { $exists: true, $ne: null }])) },
+      { $group: { _id: Object.fromEntries(fields.map((field) => [field, `$${field}`])), ids: { $push: '$_id' }, count: { $sum: 1 } } },
+      { $match: { count: { $gt: 1 } } },
+      { $limit: 20 },
+    ])
+    .toArray();
+
+export default {
+  version: 2,
+  name: 'unique-users-and-applications',
+
+  up: async (db) => {
+    const checks = [
+      ['users', ['email']],
+      ['users', ['firebaseUID']],
+      ['applications', ['tuitionId', 'tutorId']],
+    ];
+
+    for (const [collection, fields] of checks) {
+      const duplicates = await findDuplicates(db, collection, fields);
+
+      if (duplicates.length) {
+        const sample = duplicates.map((group) => `${JSON.stringify(group._id)} x${group.count}`).join('; ');
+        throw new Error(`Duplicate ${collection}.${fields.join('+')} found, resolve them before migrating: ${sample}`);
+      }
+    }
+
+    await indexes.up(db);
+  },
+
+  down: indexes.down,
+};
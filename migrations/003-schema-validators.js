@@ -0,0 +1,88 @@
+import { ensureCollection } from '../lib/migrations.js';
+import { ROLES } from '../lib/permissions.js';
+import { TUITION_STATUS } from '../lib/tuitionLifecycle.js';
+import { APPLICATION_STATUS } from '../lib/applicationWorkflow.js';
+
+// basic shape checks on the collections money and access depend on.
+// moderate: documents that are already invalid can still be updated, new writes must pass
+export const validators = {
+  users: {
+    bsonType: 'object',
+    required: ['email', 'createdAt'],
+    properties: {
+      email: { bsonType: 'string' },
+      firebaseUID: { bsonType: 'string' },
+      userType: { enum: Object.values(ROLES) },
+      tokenVersion: { bsonType: ['int', 'long', 'double'] },
+      createdAt: { bsonType: 'date' },
+    },
+  },
+  tuitions: {
+    bsonType: 'object',
+    required: ['studentId', 'status', 'createdAt'],
+    properties: {
+      studentId: { bsonType: 'string' },
+      status: { enum: Object.values(TUITION_STATUS) },
+      budget: { bsonType: ['int', 'long', 'double'], minimum: 1 },
+      createdAt: { bsonType: 'date' },
+    },
+  },
+  applications: {
+    bsonType: 'object',
+    required: ['tuitionId', 'tutorId', 'applyStatus'],
+    properties: {
+      tuitionId: { bsonType: 'objectId' },
+      tutorId: { bsonType: 'string' },
+      applyStatus: { enum: Object.values(APPLICATION_STATUS) },
+    },
+  },
+  payments: {
+    bsonType: 'object',
+    required: ['stripeSessionId', 'status', 'amount'],
+    properties: {
+      stripeSessionId: { bsonType: 'string' },
+      status: { enum: ['paid', 'partially_refunded', 'refunded', 'expired', 'failed'] },
+      amount: { bsonType: ['int', 'long', 'double'], minimum: 0 },
+      tutorAmount: { bsonType: ['int', 'long', 'double'] },
+      adminFee: { bsonType: ['int', 'long', 'double'] },
+    },
+  },
+  ledger: {
+    bsonType: 'object',
+    required: ['type', 'reference', 'lines', 'createdAt'],
+    properties: {
+      type: { enum: ['payment', 'refund', 'payout'] },
+      reference: { bsonType: 'string' },
+      lines: { bsonType: 'array', minItems: 2 },
+      createdAt: { bsonType: 'date' },
+    },
+  },
+  auditLog: {
+    bsonType: 'object',
+    required: ['actor', 'action', 'target', 'createdAt'],
+    properties: {
+      action: { bsonType: 'string' },
+      target: { bsonType: 'object', required: ['type', 'id'] },
+      createdAt: { bsonType: 'date' },
+    },
+  },
+};
+
+export default {
+  version: 3,
+  name: 'schema-validators',
+
+  up: async (db) => {
+    for (const [collection, schema] of Object.entries(validators)) {
+      await ensureCollection(db, collection);
+      await db.command({ collMod: collection, validator: { $jsonSchema: schema }, validationLevel: 'moderate', validationAction: 'error' });
+    }
+  },
+
+  down: async (db) => {
+    for (const collection of Object.keys(validators)) {
+      await ensureCollection(db, collection);
+      await db.command({ collMod: collection, validator: {}, validationLevel: 'off' });
+    }
+  },
+};
@@ -0,0 +1,10 @@
+import { indexMigration } from '../lib/migrations.js';
+
+// entries written by retried webhooks and cron jobs carry a key, the second write of the same key changes nothing
+export default {
+  version: 4,
+  name: 'audit-keys',
+  ...indexMigration({
+    auditLog: [{ key: { key: 1 }, name: 'auditLog_key_unique', unique: true, partialFilterExpression: { key: { $type: 'string' } } }],
+  }),
+};
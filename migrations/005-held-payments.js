@@ -0,0 +1,17 @@
+import { validators } from './003-schema-validators.js';
+
+// payments flagged for review are posted as payment_held, see lib/ledger.js
+const ledgerWith = (types) => ({
+  ...validators.ledger,
+  properties: { ...validators.ledger.properties, type: { enum: types } },
+});
+
+const setLedgerValidator = (schema) => (db) =>
+  db.command({ collMod: 'ledger', validator: { $jsonSchema: schema }, validationLevel: 'moderate', validationAction: 'error' });
+
+export default {
+  version: 5,
+  name: 'held-payments',
+  up: setLedgerValidator(ledgerWith(['payment', 'payment_held', 'refund', 'payout'])),
+  down: setLedgerValidator(validators.ledger),
+};
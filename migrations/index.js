@@ -0,0 +1,8 @@
+import baselineIndexes from './001-baseline-indexes.js';
+import uniqueUsersAndApplications from './002-unique-users-and-applications.js';
+import schemaValidators from './003-schema-validators.js';
+import auditKeys from './004-audit-keys.js';
+import heldPayments from './005-held-payments.js';
+
+// static imports, serverless bundlers only ship files they can see being imported. keep in version order
+export const migrations = [baselineIndexes, uniqueUsersAndApplications, schemaValidators, auditKeys, heldPayments];
@@ -0,0 +1,39 @@
+import dotenv from 'dotenv';
+import { MongoClient } from 'mongodb';
+import { createMigrator } from '../lib/migrations.js';
+import { migrations } from '../migrations/index.js';
+
+// npm run migrate -- [up [--to <version>] | down [--steps <n>] | status]
+dotenv.config();
+
+const [command = 'up', ...args] = process.argv.slice(2);
+
+const option = (name) => {
+  const index = args.indexOf(`--${name}`);
+  return index === -1 ? undefined : Number(args[index + 1]);
+};
+
+const client = new MongoClient(process.env.DATABASE_URL);
+
+try {
+  await client.connect();
+  const migrator = createMigrator({ db: client.db(process.env.DB_NAME || 'edubridge'), migrations });
+
+  if (command === 'status') {
+    console.table(await migrator.status());
+  } else if (command === 'up') {
+    const applied = await migrator.up({ to: option('to') });
+    console.log(applied.length ? `applied ${applied.map((m) => m.version).join(', ')}` : 'nothing to apply');
+  } else if (command === 'down') {
+    const reverted = await migrator.down({ steps: option('steps') });
+    console.log(reverted.length ? `reverted ${reverted.map((m) => m.version).join(', ')}` : 'nothing to revert');
+  } else {
+    console.error(`unknown command ${command}, use up, down or status`);
+    process.exitCode = 1;
+  }
+} catch (err) {
+  console.error(err.message);
+  process.exitCode = 1;
+} finally {
+  await client.close();
+}
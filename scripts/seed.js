@@ -0,0 +1,49 @@
+import dotenv from 'dotenv';
+import { MongoClient } from 'mongodb';
+import { createMigrator } from '../lib/migrations.js';
+import { buildDemoData, DEMO_COLLECTIONS } from '../lib/seed.js';
+import { migrations } from '../migrations/index.js';
+
+// npm run seed -- [--reset] [--force]
+// --reset removes earlier demo documents first, --force is needed with NODE_ENV=production
+dotenv.config();
+
+const args = process.argv.slice(2);
+
+if (process.env.NODE_ENV === 'production' && !args.includes('--force')) {
+  console.error('refusing to seed a production database, pass --force if you really mean it');
+  process.exit(1);
+}
+
+const client = new MongoClient(process.env.DATABASE_URL);
+
+try {
+  await client.connect();
+  const db = client.db(process.env.DB_NAME || 'edubridge');
+
+  // seeded documents rely on the unique indexes and validators
+  await createMigrator({ db, migrations }).up();
+
+  if (args.includes('--reset')) {
+    for (const collection of Object.values(DEMO_COLLECTIONS)) {
+      const { deletedCount } = await db.collection(collection).deleteMany({ demo: true });
+      if (deletedCount) console.log(`removed ${deletedCount} demo ${collection}`);
+    }
+  } else if (await db.collection('users').findOne({ demo: true })) {
+    console.error('demo data already exists, run with --reset to replace it');
+    process.exit(1);
+  }
+
+  const data = buildDemoData({ feePercent: Number(process.env.PLATFORM_FEE_PERCENT ?? 10) });
+
+  for (const [key, collection] of Object.entries(DEMO_COLLECTIONS)) {
+    if (!data[key].length) continue;
+    await db.collection(collection).insertMany(data[key]);
+    console.log(`seeded ${data[key].length} ${collection}`);
+  }
+} catch (err) {
+  console.error(err.message);
+  process.exitCode = 1;
+} finally {
+  await client.close();
+}
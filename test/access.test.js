@@ -0,0 +1,105 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { ObjectId } from 'mongodb';
+import { startTestApp } from './support/testApp.js';
+
+// every route the app registers, with its params filled in
+const registeredRoutes = (app) =>
+  app.router.stack
+    .filter((layer) => layer.route)
+    .flatMap(({ route }) =>
+      Object.keys(route.methods).map((method) => ({
+        method: method.toUpperCase(),
+        path: route.path.replace(/:(\w+)/g, () => new ObjectId().toString()),
+        label: `${method.toUpperCase()} ${route.path}`,
+        authenticated: route.stack.some((layer) => layer.name === 'verifyJwtToken'),
+        permissionChecked: route.stack.some((layer) => layer.name === 'checkPermission'),
+      }))
+    );
+
+const ROLES = ['student', 'teacher', 'moderator', 'admin'];
+const id = () => new ObjectId().toString();
+
+// [method, path, roles allowed past the permission check]
+const ROLE_CHECKS = [
+  ['GET', '/users', ['admin']],
+  ['PATCH', `/admin/users/${id()}`, ['admin']],
+  ['DELETE', `/admin/users/${id()}`, ['admin']],
+  ['POST', '/tuitions', ['student']],
+  ['PATCH', `/tuitions/${id()}`, ['student']],
+  ['PATCH', `/tuitions-status/${id()}`, ['moderator', 'admin']],
+  ['GET', `/tuition-details/${id()}`, ['teacher', 'admin']],
+  ['POST', `/applications/${id()}`, ['teacher']],
+  ['GET', '/applications', ['teacher']],
+  ['PATCH', `/applications/${id()}`, ['student']],
+  ['POST', '/create-checkout-session', ['student']],
+  ['GET', '/payment-history', ['student', 'teacher', 'admin']],
+  ['POST', `/admin/payments/cs_${id()}/refund`, ['admin']],
+  ['GET', '/earnings', ['teacher']],
+  ['POST', '/admin/payouts', ['admin']],
+  ['GET', '/admin/settings', ['admin']],
+  ['GET', '/admin/analytics/revenue', ['admin']],
+  ['GET', '/admin/audit-log', ['admin']],
+  ['GET', '/users/export', ['admin']],
+  ['PATCH', `/sessions/${id()}/status`, ['teacher']],
+  ['PATCH', `/sessions/${id()}/attendance`, ['student']],
+];
+
+describe('access control', () => {
+  let t;
+  const users = {};
+
+  before(async () => {
+    t = await startTestApp();
+    for (const role of ROLES) users[role] = await t.createUser(role);
+  });
+
+  after(() => t?.close());
+
+  it('answers every protected route with 401 without a token', async () => {
+    const protectedRoutes = registeredRoutes(t.app).filter((route) => route.authenticated);
+    assert.ok(protectedRoutes.length > 50);
+
+    for (const route of protectedRoutes) {
+      const res = await t.request(route.method, route.path);
+      assert.equal(res.status, 401, route.label);
+    }
+  });
+
+  // every signed in route asks for a permission, there are no exceptions
+  it('checks a permission on every protected route', () => {
+    const unchecked = registeredRoutes(t.app).filter((route) => route.authenticated && !route.permissionChecked);
+    assert.deepEqual(
+      unchecked.map((route) => route.label),
+      []
+    );
+  });
+
+  it('answers every public route without a server error', async () => {
+    const publicRoutes = registeredRoutes(t.app).filter((route) => !route.authenticated);
+
+    for (const route of publicRoutes) {
+      const res = await t.request(route.method, route.path);
+      assert.ok(res.status < 500, `${route.label} answered ${res.status}`);
+    }
+  });
+
+  for (const [method, path, allowed] of ROLE_CHECKS) {
+    it(`${method} ${path.replace(/[a-f\d]{24}/g, ':id')} is limited to ${allowed.join(', ')}`, async () => {
+      for (const role of ROLES) {
+        const res = await t.request(method, path, { token: users[role].token, body: method === 'GET' ? undefined : {} });
+
+        if (allowed.includes(role)) assert.notEqual(res.status, 403, `${role} should pass`);
+        else assert.equal(res.status, 403, `${role} should be refused`);
+      }
+    });
+  }
+
+  it('keeps the cron routes behind the cron secret', async () => {
+    for (const path of ['/cron/purge-deletions', '/cron/generate-sessions']) {
+      assert.equal((await t.request('GET', path)).status, 401);
+      assert.equal((await t.request('GET', path, { token: users.admin.token })).status, 401);
+      assert.equal((await t.request('GET', path, { token: process.env.CRON_SECRET })).status, 200);
+    }
+  });
+});
@@ -0,0 +1,103 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestApp } from './support/testApp.js';
+
+describe('analytics', () => {
+  let t;
+  let admin;
+  let moderator;
+  let student;
+  let tutor;
+  let otherTutor;
+
+  before(async () => {
+    t = await startTestApp();
+
+    admin = await t.createUser('admin');
+    moderator = await t.createUser('moderator');
+    student = await t.createUser('student');
+    tutor = await t.createUser('teacher');
+    otherTutor = await t.createUser('teacher');
+
+    const payment = (stripeSessionId, tutorId, paidAt, fields = {}) => ({
+      tuitionId: 'tuition',
+      applicationId: stripeSessionId,
+      studentId: student.firebaseUID,
+      tutorId,
+      amount: 6000,
+      tutorAmount: 5400,
+      adminFee: 600,
+      status: 'paid',
+      billing: 'one_time',
+      paidAt: new Date(paidAt),
+      stripeSessionId,
+      ...fields,
+    });
+
+    await t.db.collection('payments').insertMany([
+      payment('cs_january', tutor.firebaseUID, '2026-01-10T10:00:00Z'),
+      payment('cs_february', tutor.firebaseUID, '2026-02-10T10:00:00Z'),
+      payment('cs_other', otherTutor.firebaseUID, '2026-02-20T10:00:00Z'),
+      // counts what is left after the refund, 4000 of which 3600 is the tutor's
+      payment('cs_partial', otherTutor.firebaseUID, '2026-02-25T10:00:00Z', { status: 'partially_refunded', refundedAmount: 2000 }),
+      // neither counts as revenue
+      payment('cs_refunded', otherTutor.firebaseUID, '2026-02-21T10:00:00Z', { status: 'refunded', refundedAmount: 6000 }),
+      payment('in_failed', otherTutor.firebaseUID, '2026-02-22T10:00:00Z', { status: 'failed' }),
+    ]);
+  });
+
+  after(() => t?.close());
+
+  const analytics = (path, user = admin) => t.request('GET', `/admin/analytics/${path}`, { token: user.token });
+
+  it('sums revenue per month from paid payments, less partial refunds', async () => {
+    const res = await analytics('revenue');
+    assert.equal(res.status, 200);
+
+    assert.deepEqual(res.body, {
+      total: 22000,
+      adminFee: 2200,
+      tutorAmount: 19800,
+      months: [
+        { month: '2026-01', payments: 1, total: 6000, adminFee: 600, tutorAmount: 5400 },
+        { month: '2026-02', payments: 3, total: 16000, adminFee: 1600, tutorAmount: 14400 },
+      ],
+    });
+
+    const february = await analytics('revenue?from=2026-02-01&to=2026-02-28');
+    assert.equal(february.body.total, 16000);
+  });
+
+  it('ranks tutors by hires, then earnings', async () => {
+    const { body } = await analytics('top-tutors');
+
+    assert.deepEqual(
+      body.map(({ tutorId, hires, earnings }) => ({ tutorId, hires, earnings })),
+      [
+        { tutorId: tutor.firebaseUID, hires: 2, earnings: 10800 },
+        { tutorId: otherTutor.firebaseUID, hires: 2, earnings: 9000 },
+      ]
+    );
+    assert.equal(body[0].name, tutor.name);
+  });
+
+  it('counts signups, posts and the application to hire conversion', async () => {
+    const tuition = await t.createOpenTuition(student, admin, { subject: 'Biology' });
+    await t.apply(tutor, tuition);
+
+    const signups = (await analytics('signups?interval=day')).body;
+    assert.equal(signups.find(({ userType }) => userType === 'teacher').count, 2);
+
+    const tuitions = (await analytics('tuitions')).body;
+    assert.deepEqual(tuitions.bySubject, [{ _id: 'Biology', count: 1 }]);
+
+    assert.deepEqual((await analytics('conversion')).body, { applications: 1, hired: 0, conversionRate: 0 });
+  });
+
+  it('is admin only and checks the date range', async () => {
+    assert.equal((await analytics('revenue', moderator)).status, 403);
+    assert.equal((await analytics('revenue', tutor)).status, 403);
+    assert.equal((await analytics('revenue?from=yesterday')).status, 400);
+    assert.equal((await analytics('revenue?from=2026-03-01&to=2026-01-01')).status, 400);
+  });
+});
@@ -0,0 +1,73 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { AUDIT_ACTIONS, auditEntry, createAuditLog, diffChanges } from '../lib/audit.js';
+
+describe('audit log', () => {
+  it('records only the fields that changed, never secrets', () => {
+    const changes = diffChanges(
+      { userType: 'teacher', name: 'Mim', calendarFeed: { tokenHash: 'a' } },
+      { userType: 'student', name: 'Mim', calendarFeed: { tokenHash: 'b' }, phone: '017' }
+    );
+
+    assert.deepEqual(changes, { userType: { from: 'teacher', to: 'student' }, phone: { from: null, to: '017' } });
+  });
+
+  it('stores the target id as a string', () => {
+    const entry = auditEntry({ actor: { system: 'stripe' }, action: AUDIT_ACTIONS.PAYMENT_RECORDED, target: { type: 'payment', id: 42 } });
+
+    assert.deepEqual(entry.target, { type: 'payment', id: '42' });
+    assert.equal(entry.ip, null);
+    assert.ok(entry.createdAt instanceof Date);
+  });
+
+  it('rejects when the entry can not be written, so the caller stops before its change', async () => {
+    const cause = new Error('not primary');
+    const auditLog = createAuditLog({
+      auditCollection: {
+        insertOne: async () => {
+          throw cause;
+        },
+      },
+    });
+
+    await assert.rejects(
+      auditLog.record({ actor: { uid: 'admin-1' }, action: AUDIT_ACTIONS.USER_DELETE, target: { type: 'user', id: 'u1' } }),
+      (err) => err.cause === cause && /user\.delete on user u1/.test(err.message)
+    );
+  });
+
+  it('writes a keyed entry once, however often it is recorded', async () => {
+    const entries = new Map();
+    const auditLog = createAuditLog({
+      auditCollection: {
+        updateOne: async ({ key }, { $setOnInsert }) => {
+          if (!entries.has(key)) entries.set(key, $setOnInsert);
+        },
+      },
+    });
+
+    const input = { key: 'payment.recorded:cs_1', actor: { system: 'stripe' }, action: AUDIT_ACTIONS.PAYMENT_RECORDED };
+    await auditLog.record({ ...input, target: { type: 'payment', id: 'cs_1' } });
+    await auditLog.record({ ...input, target: { type: 'payment', id: 'cs_1' } });
+
+    assert.equal(entries.size, 1);
+    assert.equal(entries.get('payment.recorded:cs_1').key, 'payment.recorded:cs_1');
+  });
+
+  it('treats a concurrent write of the same key as written', async () => {
+    const auditLog = createAuditLog({
+      auditCollection: {
+        updateOne: async () => {
+          throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+        },
+      },
+    });
+
+    await auditLog.record({
+      key: 'user.delete:u1',
+      actor: { system: 'account-deletion' },
+      action: AUDIT_ACTIONS.USER_DELETE,
+      target: { type: 'user', id: 'u1' },
+    });
+  });
+});
@@ -0,0 +1,100 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestApp } from './support/testApp.js';
+
+describe('auth', () => {
+  let t;
+
+  before(async () => {
+    t = await startTestApp();
+  });
+
+  after(() => t?.close());
+
+  it('signs up a student once per email', async () => {
+    const profile = { name: 'Mim Rahman', email: 'mim@edubridge.test', firebaseUID: 'mim', userType: 'student' };
+
+    const first = await t.request('POST', '/signup', { body: profile });
+    assert.equal(first.status, 200);
+
+    const second = await t.request('POST', '/signup', { body: { ...profile, firebaseUID: 'mim-2' } });
+    assert.equal(second.status, 409);
+    assert.equal(await t.db.collection('users').countDocuments({ email: profile.email }), 1);
+  });
+
+  it('rejects invalid signups and staff roles', async () => {
+    const missing = await t.request('POST', '/signup', { body: { name: 'No Email', firebaseUID: 'x', userType: 'student' } });
+    assert.equal(missing.status, 400);
+    assert.equal(missing.body.code, 'VALIDATION_FAILED');
+
+    const admin = await t.request('POST', '/signup', {
+      body: { name: 'Sneaky', email: 'sneaky@edubridge.test', firebaseUID: 'sneaky', userType: 'admin' },
+    });
+    assert.equal(admin.status, 400);
+  });
+
+  it('exchanges a firebase token for an access and refresh token', async () => {
+    const student = await t.createUser('student');
+
+    assert.ok(student.token);
+    assert.ok(student.refreshToken);
+    assert.equal(student.userType, 'student');
+
+    const me = await t.request('GET', '/user/me', { token: student.token });
+    assert.equal(me.status, 200);
+    assert.equal(me.body.firebaseUID, student.firebaseUID);
+  });
+
+  it('answers 400 without a firebase token in the body', async () => {
+    for (const body of [undefined, {}, { token: 42 }]) {
+      const res = await t.request('POST', '/api/auth/jwt', { body });
+      assert.equal(res.status, 400, JSON.stringify(body));
+    }
+  });
+
+  it('answers 401 for a bad firebase token and 404 for a user without a profile', async () => {
+    const invalid = await t.request('POST', '/api/auth/jwt', { body: { token: 'not-a-firebase-token' } });
+    assert.equal(invalid.status, 401);
+
+    const unknown = await t.request('POST', '/api/auth/jwt', { body: { token: t.auth.idTokenFor('nobody') } });
+    assert.equal(unknown.status, 404);
+  });
+
+  it('needs a valid bearer token on protected routes', async () => {
+    assert.equal((await t.request('GET', '/user/me')).status, 401);
+    assert.equal((await t.request('GET', '/user/me', { token: 'garbage' })).status, 403);
+  });
+
+  it('rotates refresh tokens and ends the login when an old one comes back', async () => {
+    const teacher = await t.createUser('teacher');
+
+    const rotated = await t.request('POST', '/api/auth/refresh', { body: { refreshToken: teacher.refreshToken } });
+    assert.equal(rotated.status, 200);
+    assert.notEqual(rotated.body.refreshToken, teacher.refreshToken);
+
+    const replayed = await t.request('POST', '/api/auth/refresh', { body: { refreshToken: teacher.refreshToken } });
+    assert.equal(replayed.status, 401);
+
+    // the replay revoked the whole family, including the token it was rotated into
+    const next = await t.request('POST', '/api/auth/refresh', { body: { refreshToken: rotated.body.refreshToken } });
+    assert.equal(next.status, 401);
+  });
+
+  it('revokes access tokens on logout everywhere and on a role change', async () => {
+    const student = await t.createUser('student');
+
+    assert.equal((await t.request('POST', '/api/auth/logout-all', { token: student.token })).status, 200);
+    assert.equal((await t.request('GET', '/user/me', { token: student.token })).status, 401);
+
+    const admin = await t.createUser('admin');
+    const teacher = await t.createUser('teacher');
+    const { _id } = await t.db.collection('users').findOne({ firebaseUID: teacher.firebaseUID });
+
+    const changed = await t.request('PATCH', `/admin/users/${_id}`, { token: admin.token, body: { userType: 'student' } });
+    assert.equal(changed.status, 200);
+    assert.equal((await t.request('GET', '/user/me', { token: teacher.token })).status, 401);
+
+    const relogin = await t.login(teacher.firebaseUID);
+    assert.equal(relogin.userType, 'student');
+  });
+});
@@ -0,0 +1,92 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { SESSION_STATUS, buildCalendar, canTransitionSession, expandSchedule, findSlotOverlap, zonedTimeToUtc } from '../lib/scheduling.js';
+
+describe('schedule expansion', () => {
+  // a Monday, 09:00 in Dhaka
+  const from = new Date('2026-10-19T03:00:00Z');
+
+  it('places wall clock slots in the schedule timezone', () => {
+    const schedule = { timezone: 'Asia/Dhaka', slots: [{ day: 'mon', start: '17:00', durationMinutes: 60 }] };
+    const sessions = expandSchedule(schedule, { from, weeks: 2 });
+
+    assert.deepEqual(
+      sessions.map(({ startsAt }) => startsAt.toISOString()),
+      ['2026-10-19T11:00:00.000Z', '2026-10-26T11:00:00.000Z']
+    );
+    assert.equal(sessions[0].endsAt - sessions[0].startsAt, 60 * 60 * 1000);
+  });
+
+  it('skips slots that already started today', () => {
+    const schedule = { timezone: 'Asia/Dhaka', slots: [{ day: 'mon', start: '08:00', durationMinutes: 60 }] };
+    const [first] = expandSchedule(schedule, { from, weeks: 1 });
+
+    assert.equal(first.startsAt.toISOString(), '2026-10-26T02:00:00.000Z');
+  });
+
+  it('keeps the wall clock across a daylight saving change', () => {
+    // Europe/London moves back an hour on 2026-10-25
+    const before = zonedTimeToUtc({ year: 2026, month: 10, day: 24, hour: 18, minute: 0 }, 'Europe/London');
+    const after = zonedTimeToUtc({ year: 2026, month: 10, day: 26, hour: 18, minute: 0 }, 'Europe/London');
+
+    assert.equal(before.toISOString(), '2026-10-24T17:00:00.000Z');
+    assert.equal(after.toISOString(), '2026-10-26T18:00:00.000Z');
+  });
+
+  it('finds overlapping slots on the same day only', () => {
+    const overlapping = [
+      { day: 'sat', start: '10:00', durationMinutes: 90 },
+      { day: 'sat', start: '11:00', durationMinutes: 60 },
+    ];
+    assert.deepEqual(findSlotOverlap(overlapping), overlapping);
+
+    const backToBack = [
+      { day: 'sat', start: '10:00', durationMinutes: 60 },
+      { day: 'sat', start: '11:00', durationMinutes: 60 },
+      { day: 'sun', start: '10:30', durationMinutes: 60 },
+    ];
+    assert.equal(findSlotOverlap(backToBack), null);
+  });
+
+  it('marks a session once, a held one can still be cancelled', () => {
+    const { SCHEDULED, HELD, CANCELLED } = SESSION_STATUS;
+
+    assert.ok(canTransitionSession(SCHEDULED, HELD));
+    assert.ok(canTransitionSession(HELD, CANCELLED));
+    assert.equal(canTransitionSession(CANCELLED, HELD), false);
+    assert.equal(canTransitionSession(HELD, HELD), false);
+  });
+});
+
+describe('calendar feed', () => {
+  const event = {
+    uid: 'session-1@edubridge',
+    startsAt: new Date('2026-10-19T11:00:00Z'),
+    endsAt: new Date('2026-10-19T12:00:00Z'),
+    summary: 'Physics, Chemistry; HSC',
+    location: 'Dhanmondi, Dhaka',
+    status: SESSION_STATUS.SCHEDULED,
+  };
+
+  it('writes escaped events with CRLF line endings', () => {
+    const ics = buildCalendar({ name: 'Sessions', events: [event], now: new Date('2026-10-01T00:00:00Z') });
+    const lines = ics.split('\r\n');
+
+    assert.equal(lines[0], 'BEGIN:VCALENDAR');
+    assert.ok(lines.includes('DTSTART:20261019T110000Z'));
+    assert.ok(lines.includes('SUMMARY:Physics\\, Chemistry\\; HSC'));
+    assert.ok(lines.includes('STATUS:CONFIRMED'));
+    assert.ok(ics.endsWith('END:VCALENDAR\r\n'));
+  });
+
+  it('folds long lines without splitting characters', () => {
+    const ics = buildCalendar({ name: 'Sessions', events: [{ ...event, description: 'পদার্থবিজ্ঞান '.repeat(20) }] });
+
+    for (const line of ics.split('\r\n')) {
+      assert.ok(Buffer.byteLength(line, 'utf8') <= 75, line);
+    }
+
+    const unfolded = ics.replace(/\r\n /g, '');
+    assert.ok(unfolded.includes(`DESCRIPTION:${'পদার্থবিজ্ঞান '.repeat(20)}`));
+  });
+});
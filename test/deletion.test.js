@@ -0,0 +1,191 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestApp } from './support/testApp.js';
+
+describe('account deletion', () => {
+  let t;
+  let admin;
+
+  before(async () => {
+    t = await startTestApp();
+    admin = await t.createUser('admin');
+  });
+
+  after(() => t?.close());
+
+  const purgeDue = () => t.request('GET', '/cron/purge-deletions', { headers: { authorization: `Bearer ${process.env.CRON_SECRET}` } });
+  const findUser = (user) => t.db.collection('users').findOne({ firebaseUID: user.firebaseUID });
+
+  // the grace period is over as if two weeks went by
+  const expireGracePeriod = (user) =>
+    t.db
+      .collection('users')
+      .updateOne({ firebaseUID: user.firebaseUID }, { $set: { 'deletion.scheduledFor': new Date(Date.now() - 1000) } });
+
+  it('schedules a deletion that can be undone during the grace period', async () => {
+    const student = await t.createUser('student');
+
+    const scheduled = await t.request('DELETE', '/user/me', { token: student.token });
+    assert.equal(scheduled.status, 200);
+    assert.ok(new Date(scheduled.body.scheduledFor) > new Date());
+
+    // signing out everywhere, the old token is gone
+    assert.equal((await t.request('GET', '/user/me', { token: student.token })).status, 401);
+
+    const { token, deletionScheduledFor } = await t.login(student.firebaseUID);
+    assert.ok(deletionScheduledFor);
+
+    assert.equal((await t.request('POST', '/user/me/restore', { token })).status, 200);
+    assert.equal((await findUser(student)).deletion, undefined);
+    assert.equal((await purgeDue()).body.purged, 0);
+  });
+
+  it('closes what the student left open and keeps payments without personal data', async () => {
+    const student = await t.createUser('student');
+    const tutor = await t.createUser('teacher');
+
+    const open = await t.createOpenTuition(student, admin);
+    const application = await t.apply(tutor, open);
+
+    await t.db.collection('payments').insertOne({
+      stripeSessionId: 'cs_deleted_student',
+      studentId: student.firebaseUID,
+      studentName: student.name,
+      studentEmail: student.email,
+      tutorId: tutor.firebaseUID,
+      amount: 6000,
+      status: 'paid',
+    });
+
+    assert.equal((await t.request('DELETE', '/user/me', { token: student.token })).status, 200);
+    await expireGracePeriod(student);
+
+    assert.equal((await t.request('GET', '/cron/purge-deletions')).status, 401);
+    const purged = await purgeDue();
+    assert.deepEqual(purged.body, { purged: 1, failed: [] });
+
+    assert.equal(await findUser(student), null);
+    assert.ok(t.auth.deletedUsers.includes(student.firebaseUID));
+    assert.equal((await t.request('POST', '/api/auth/jwt', { body: { token: t.auth.idTokenFor(student.firebaseUID) } })).status, 404);
+
+    assert.equal((await t.db.collection('tuitions').findOne({ _id: open._id })).status, 'cancelled');
+    assert.equal((await t.db.collection('applications').findOne({ _id: application._id })).applyStatus, 'rejected');
+
+    const payment = await t.db.collection('payments').findOne({ stripeSessionId: 'cs_deleted_student' });
+    assert.equal(payment.studentName, 'Deleted user');
+    assert.equal(payment.studentEmail, null);
+    assert.equal(payment.amount, 6000);
+
+    // a second run finds nothing left and logs the deletion once
+    assert.equal((await purgeDue()).body.purged, 0);
+    const audited = await t.db.collection('auditLog').countDocuments({ action: 'user.delete', 'meta.firebaseUID': student.firebaseUID });
+    assert.equal(audited, 1);
+  });
+
+  it('withdraws a deleted tutor and frees the tuition they were selected for', async () => {
+    const student = await t.createUser('student');
+    const tutor = await t.createUser('teacher');
+
+    const tuition = await t.createOpenTuition(student, admin);
+    const selected = await t.select(student, await t.apply(tutor, tuition));
+    assert.equal((await t.db.collection('tuitions').findOne({ _id: tuition._id })).status, 'tutor_selected');
+
+    const user = await findUser(tutor);
+    assert.equal((await t.request('DELETE', `/admin/users/${user._id}?immediate=true`, { token: admin.token })).status, 200);
+
+    assert.equal(await findUser(tutor), null);
+    assert.equal((await t.db.collection('applications').findOne({ _id: selected._id })).applyStatus, 'withdrawn');
+    assert.equal((await t.db.collection('tuitions').findOne({ _id: tuition._id })).status, 'open');
+  });
+
+  it('leaves nothing that names a deleted tutor', async () => {
+    const student = await t.createUser('student');
+    const tutor = await t.createUser('teacher', { name: 'Nusrat Jahan' });
+    const nationalId = 'https://files.edubridge.test/nid-nusrat.jpg';
+
+    const tuition = await t.createOpenTuition(student, admin);
+    const application = await t.apply(tutor, tuition);
+
+    const sent = await t.request('POST', `/applications/${application._id}/messages`, {
+      token: tutor.token,
+      body: { body: 'Call me on 01711000000, Nusrat' },
+    });
+    assert.equal(sent.status, 200);
+
+    const submitted = await t.request('POST', '/verification', {
+      token: tutor.token,
+      body: { documents: [{ type: 'national_id', url: nationalId }] },
+    });
+    assert.equal(submitted.status, 200);
+
+    await t.db.collection('reviews').insertOne({
+      tuitionId: tuition._id,
+      tutorId: tutor.firebaseUID,
+      studentId: student.firebaseUID,
+      studentName: student.name,
+      rating: 5,
+      comment: 'Patient and on time',
+      reply: { text: 'Thanks, Nusrat here', at: new Date() },
+      status: 'published',
+      createdAt: new Date(),
+    });
+
+    const hour = 60 * 60 * 1000;
+    const session = (startsAt) => ({
+      tuitionId: tuition._id,
+      studentId: student.firebaseUID,
+      tutorId: tutor.firebaseUID,
+      location: tuition.location,
+      startsAt,
+      endsAt: new Date(startsAt.getTime() + hour),
+      status: 'scheduled',
+    });
+    await t.db.collection('sessions').insertMany([session(new Date(Date.now() + 24 * hour)), session(new Date(Date.now() - 24 * hour))]);
+
+    const user = await findUser(tutor);
+    assert.equal((await t.request('DELETE', `/admin/users/${user._id}?immediate=true`, { token: admin.token })).status, 200);
+
+    for (const name of ['applications', 'payments', 'reviews', 'verifications', 'messages', 'notifications', 'sessions']) {
+      const stored = JSON.stringify(await t.db.collection(name).find().toArray());
+
+      for (const personal of [tutor.name, tutor.email, nationalId, '01711000000']) {
+        assert.ok(!stored.includes(personal), `${name} still holds ${personal}`);
+      }
+    }
+
+    // the student keeps the notification, without the tutor's name
+    const { body: notifications } = await t.request('GET', '/notifications', { token: student.token });
+    assert.ok(notifications.data.some(({ body }) => body.startsWith('Deleted user applied')));
+
+    const reviews = await t.request('GET', `/public/tutors/${tutor.firebaseUID}/reviews`);
+    assert.equal(reviews.body.total, 0);
+
+    const sessions = await t.db.collection('sessions').find({ tutorId: tutor.firebaseUID }).sort({ startsAt: 1 }).toArray();
+    assert.deepEqual(
+      sessions.map(({ status }) => status),
+      ['scheduled', 'cancelled']
+    );
+  });
+
+  it('takes a deleted student off the reviews they wrote', async () => {
+    const student = await t.createUser('student', { name: 'Rafi Ahmed' });
+
+    await t.db.collection('reviews').insertOne({
+      tutorId: 'some-tutor',
+      studentId: student.firebaseUID,
+      studentName: student.name,
+      rating: 4,
+      comment: 'Good at physics',
+      reply: null,
+      status: 'published',
+      createdAt: new Date(),
+    });
+
+    const user = await findUser(student);
+    assert.equal((await t.request('DELETE', `/admin/users/${user._id}?immediate=true`, { token: admin.token })).status, 200);
+
+    const [review] = (await t.request('GET', '/public/tutors/some-tutor/reviews')).body.data;
+    assert.equal(review.studentName, 'Deleted user');
+    assert.equal(review.rating, 4);
+  });
+});
@@ -0,0 +1,120 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestApp } from './support/testApp.js';
+
+describe('disputes', () => {
+  let t;
+  let admin;
+  let otherAdmin;
+  let student;
+  let otherStudent;
+  let tutor;
+
+  before(async () => {
+    t = await startTestApp();
+
+    admin = await t.createUser('admin');
+    otherAdmin = await t.createUser('admin');
+    student = await t.createUser('student');
+    otherStudent = await t.createUser('student');
+    tutor = await t.createUser('teacher');
+  });
+
+  after(() => t?.close());
+
+  // a tuition the student paid the tutor for, returns the checkout session id
+  const paidCheckout = async () => {
+    const tuition = await t.createOpenTuition(student, admin);
+    const application = await t.select(student, await t.apply(tutor, tuition));
+
+    const res = await t.request('POST', '/create-checkout-session', {
+      token: student.token,
+      body: { tuitionId: tuition._id.toString(), applicationId: application._id.toString() },
+    });
+    assert.equal(res.status, 200);
+
+    const sessionId = res.body.url.split('/').pop();
+    assert.equal((await t.deliverWebhook(t.stripe.completeCheckout(sessionId))).status, 200);
+
+    return { tuition, sessionId };
+  };
+
+  const openDispute = (sessionId, user = student) =>
+    t.request('POST', `/payments/${sessionId}/disputes`, { token: user.token, body: { reason: 'The tutor stopped coming after a week' } });
+
+  const resolve = (dispute, body, user = admin) => t.request('PATCH', `/admin/disputes/${dispute}/resolve`, { token: user.token, body });
+
+  it('lets only the paying student open one dispute at a time', async () => {
+    const { sessionId } = await paidCheckout();
+
+    assert.equal((await openDispute(sessionId, otherStudent)).status, 404);
+
+    const opened = await openDispute(sessionId);
+    assert.equal(opened.status, 200);
+    assert.equal((await openDispute(sessionId)).status, 409);
+
+    const own = await t.request('GET', '/disputes', { token: student.token });
+    assert.equal(own.body.total, 1);
+    assert.equal((await t.request('GET', '/disputes', { token: otherStudent.token })).body.total, 0);
+    assert.equal((await t.request('GET', '/disputes', { token: tutor.token })).status, 403);
+  });
+
+  it('refunds a dispute once when two admins resolve it at the same time', async () => {
+    const { tuition, sessionId } = await paidCheckout();
+    const dispute = (await openDispute(sessionId)).body.insertedId;
+    const refundsBefore = t.stripe.refunds.length;
+
+    const results = await Promise.all([
+      resolve(dispute, { outcome: 'refund', note: 'refund in full' }),
+      resolve(dispute, { outcome: 'refund', note: 'refund in full' }, otherAdmin),
+    ]);
+
+    assert.deepEqual(results.map(({ status }) => status).sort(), [200, 409]);
+    assert.equal(t.stripe.refunds.length, refundsBefore + 1);
+
+    const payment = await t.db.collection('payments').findOne({ stripeSessionId: sessionId });
+    assert.equal(payment.status, 'refunded');
+    assert.equal(payment.disputeStatus, 'resolved');
+    assert.equal(payment.refunds.length, 1);
+    assert.equal((await t.db.collection('tuitions').findOne({ _id: tuition._id })).status, 'open');
+
+    const resolved = await t.db.collection('disputes').findOne({ stripeSessionId: sessionId });
+    assert.equal(resolved.status, 'resolved');
+    assert.equal(resolved.claimedBy, undefined);
+    assert.equal((await resolve(dispute, { outcome: 'reject' })).status, 409);
+  });
+
+  it('gives a dispute back when the refund fails, a retry refunds once', async () => {
+    const { sessionId } = await paidCheckout();
+    const dispute = (await openDispute(sessionId)).body.insertedId;
+
+    const createRefund = t.stripe.createRefund;
+    t.stripe.createRefund = async () => {
+      throw Object.assign(new Error('stripe is down'), { statusCode: 500 });
+    };
+
+    try {
+      assert.equal((await resolve(dispute, { outcome: 'refund' })).status, 500);
+    } finally {
+      t.stripe.createRefund = createRefund;
+    }
+
+    assert.equal((await t.db.collection('disputes').findOne({ stripeSessionId: sessionId })).status, 'open');
+
+    const retried = await resolve(dispute, { outcome: 'refund' });
+    assert.equal(retried.status, 200);
+    assert.equal((await t.db.collection('payments').findOne({ stripeSessionId: sessionId })).refunds.length, 1);
+  });
+
+  it('rejects a dispute without touching the payment', async () => {
+    const { sessionId } = await paidCheckout();
+    const dispute = (await openDispute(sessionId)).body.insertedId;
+
+    const res = await resolve(dispute, { outcome: 'reject', note: 'sessions were held' });
+    assert.equal(res.status, 200);
+
+    const payment = await t.db.collection('payments').findOne({ stripeSessionId: sessionId });
+    assert.equal(payment.status, 'paid');
+    assert.equal(payment.disputeStatus, 'rejected');
+  });
+});
@@ -0,0 +1,113 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { csvValue, parseExportQuery, projectionFor } from '../lib/exporting.js';
+import { startTestApp } from './support/testApp.js';
+
+describe('exports', () => {
+  let t;
+  let admin;
+  let student;
+  let otherStudent;
+  let tutor;
+
+  before(async () => {
+    t = await startTestApp();
+
+    admin = await t.createUser('admin');
+    student = await t.createUser('student');
+    otherStudent = await t.createUser('student');
+    // spreadsheets run cells starting with = as formulas
+    tutor = await t.createUser('teacher', { name: '=HYPERLINK("https://evil.test")' });
+
+    const payment = (studentId, stripeSessionId, paidAt, amount) => ({
+      tuitionId: 'tuition',
+      applicationId: 'application',
+      tuitionTitle: 'Physics, Chemistry & Math',
+      studentId,
+      tutorId: tutor.firebaseUID,
+      amount,
+      tutorAmount: amount * 0.9,
+      adminFee: amount * 0.1,
+      status: 'paid',
+      billing: 'one_time',
+      paidAt,
+      stripeSessionId,
+    });
+
+    await t.db
+      .collection('payments')
+      .insertMany([
+        payment(student.firebaseUID, 'cs_january', new Date('2026-01-15T10:00:00Z'), 5000),
+        payment(student.firebaseUID, 'cs_march', new Date('2026-03-15T10:00:00Z'), 6000),
+        payment(otherStudent.firebaseUID, 'cs_other', new Date('2026-02-15T10:00:00Z'), 7000),
+      ]);
+  });
+
+  after(() => t?.close());
+
+  const exportAs = (user, path) => t.request('GET', path, { token: user.token });
+
+  // header + data rows, the body ends with a line break
+  const csvLines = (body) => body.split('\r\n').slice(0, -1);
+
+  it('exports only the payments of the caller as csv', async () => {
+    const res = await exportAs(student, '/payment-history/export');
+
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get('content-type'), /^text\/csv/);
+    assert.match(res.headers.get('content-disposition'), /filename="payments\.csv"/);
+
+    const [header, ...rows] = csvLines(res.body);
+    assert.ok(header.startsWith('paidAt,tuitionId,applicationId,tuitionTitle,'));
+    assert.equal(rows.length, 2);
+    assert.ok(rows[0].startsWith('2026-01-15T10:00:00.000Z,tuition,application,"Physics, Chemistry & Math",'));
+
+    assert.equal(csvLines((await exportAs(tutor, '/payment-history/export')).body).length, 4);
+    assert.equal(csvLines((await exportAs(admin, '/payment-history/export')).body).length, 4);
+  });
+
+  it('limits an export to the asked fields, dates and format', async () => {
+    const march = await exportAs(student, '/payment-history/export?fields=stripeSessionId,amount&from=2026-02-01');
+    assert.deepEqual(csvLines(march.body), ['stripeSessionId,amount', 'cs_march,6000']);
+
+    const json = await exportAs(admin, '/payment-history/export?format=json&fields=stripeSessionId,amount,refundedAmount');
+    assert.equal(json.status, 200);
+    assert.deepEqual(json.body, [
+      { stripeSessionId: 'cs_january', amount: 5000, refundedAmount: null },
+      { stripeSessionId: 'cs_other', amount: 7000, refundedAmount: null },
+      { stripeSessionId: 'cs_march', amount: 6000, refundedAmount: null },
+    ]);
+
+    assert.equal((await exportAs(student, '/payment-history/export?fields=amount,password')).status, 400);
+    assert.equal((await exportAs(student, '/payment-history/export?format=xlsx')).status, 400);
+    assert.equal((await exportAs(student, '/payment-history/export?from=yesterday')).status, 400);
+  });
+
+  it('exports users for admins with formulas defused', async () => {
+    assert.equal((await exportAs(student, '/users/export')).status, 403);
+
+    const res = await exportAs(admin, '/users/export?userType=teacher&fields=firebaseUID,name');
+    assert.equal(res.status, 200);
+    assert.deepEqual(csvLines(res.body), ['firebaseUID,name', `${tutor.firebaseUID},"'=HYPERLINK(""https://evil.test"")"`]);
+  });
+});
+
+describe('csv values', () => {
+  it('quotes separators and defuses formulas', () => {
+    assert.equal(csvValue('plain'), 'plain');
+    assert.equal(csvValue('Dhanmondi, Dhaka'), '"Dhanmondi, Dhaka"');
+    assert.equal(csvValue('say "hi"'), '"say ""hi"""');
+    assert.equal(csvValue('=1+1'), "'=1+1");
+    assert.equal(csvValue('-5'), "'-5");
+    // numbers are data, not formulas
+    assert.equal(csvValue(-5), '-5');
+    assert.equal(csvValue(null), '');
+    assert.equal(csvValue(new Date('2026-01-01T00:00:00Z')), '2026-01-01T00:00:00.000Z');
+  });
+
+  it('only reads the asked fields', () => {
+    assert.deepEqual(parseExportQuery({ fields: 'amount, status' }, ['status', 'amount']), { format: 'csv', fields: ['amount', 'status'] });
+    assert.match(parseExportQuery({ fields: 'amount,secret' }, ['amount']).error, /secret/);
+    assert.deepEqual(projectionFor(['billingPeriod.start']), { 'billingPeriod.start': 1, _id: 0 });
+  });
+});
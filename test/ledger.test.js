@@ -0,0 +1,79 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  ACCOUNTS,
+  heldPaymentEntry,
+  isBalanced,
+  parseMonth,
+  paymentEntry,
+  payoutEntry,
+  refundEntry,
+  tutorPayableAccount,
+} from '../lib/ledger.js';
+
+const payment = { stripeSessionId: 'cs_1', tutorId: 'tutor-1', amount: 6000, tutorAmount: 5400, adminFee: 600 };
+
+// net debit - credit per account over the entries
+const balances = (entries) =>
+  entries
+    .flatMap((entry) => entry.lines)
+    .reduce((totals, { account, debit, credit }) => ({ ...totals, [account]: (totals[account] || 0) + debit - credit }), {});
+
+describe('ledger', () => {
+  it('splits a payment between the tutor and the platform', () => {
+    const entry = paymentEntry(payment);
+
+    assert.equal(entry.reference, 'payment:cs_1');
+    assert.ok(isBalanced(entry.lines));
+    assert.deepEqual(balances([entry]), {
+      [ACCOUNTS.CASH]: 6000,
+      [tutorPayableAccount('tutor-1')]: -5400,
+      [ACCOUNTS.PLATFORM_REVENUE]: -600,
+    });
+  });
+
+  it('reverses refunds pro rata, one reference per refunded total', () => {
+    const first = refundEntry({ ...payment, refunded: 1000, refundedTotal: 1000 });
+    const rest = refundEntry({ ...payment, refunded: 5000, refundedTotal: 6000 });
+
+    assert.notEqual(first.reference, rest.reference);
+    assert.deepEqual(first.lines.find((line) => line.account === tutorPayableAccount('tutor-1')).debit, 900);
+
+    // two partial refunds of the whole amount leave every account at zero
+    const totals = balances([paymentEntry(payment), first, rest]);
+    assert.ok(Object.values(totals).every((total) => total === 0));
+  });
+
+  it('holds a flagged payment outside the tutor payable until it is refunded', () => {
+    const held = heldPaymentEntry(payment);
+    assert.equal(held.reference, paymentEntry(payment).reference);
+
+    const totals = balances([held, refundEntry({ ...payment, refunded: 6000, refundedTotal: 6000, held: true })]);
+    assert.equal(totals[tutorPayableAccount('tutor-1')], undefined);
+    assert.ok(Object.values(totals).every((total) => total === 0));
+  });
+
+  it('keeps odd refunds balanced', () => {
+    const entry = refundEntry({ ...payment, refunded: 333, refundedTotal: 333 });
+    assert.ok(isBalanced(entry.lines));
+  });
+
+  it('pays out of the tutor payable', () => {
+    const entry = payoutEntry({ payoutId: 'po_1', tutorId: 'tutor-1', amount: 5400, method: 'bkash' });
+    const totals = balances([paymentEntry(payment), entry]);
+
+    assert.equal(totals[tutorPayableAccount('tutor-1')], 0);
+    assert.equal(totals[ACCOUNTS.CASH], 600);
+  });
+
+  it('refuses an unbalanced or empty entry', () => {
+    assert.throws(() => paymentEntry({ ...payment, adminFee: 500 }), /Unbalanced/);
+    assert.equal(isBalanced([]), false);
+  });
+
+  it('parses a statement month', () => {
+    assert.deepEqual(parseMonth('2026-12'), { start: new Date('2026-12-01T00:00:00Z'), end: new Date('2027-01-01T00:00:00Z') });
+    assert.equal(parseMonth('2026-13'), null);
+    assert.equal(parseMonth(undefined), null);
+  });
+});
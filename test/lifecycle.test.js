@@ -0,0 +1,72 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { TUITION_STATUS, canAdminTransition, canTransition, canStudentTransition, currentTuitionStatus } from '../lib/tuitionLifecycle.js';
+import {
+  APPLICATION_STATUS,
+  canTransitionApplication,
+  canRefundTransitionApplication,
+  currentApplicationStatus,
+} from '../lib/applicationWorkflow.js';
+
+const T = TUITION_STATUS;
+const A = APPLICATION_STATUS;
+
+describe('tuition lifecycle', () => {
+  it('lets a student cancel anything not paid yet', () => {
+    for (const from of [T.DRAFT, T.PENDING_REVIEW, T.REJECTED, T.OPEN, T.TUTOR_SELECTED]) {
+      assert.ok(canStudentTransition(from, T.CANCELLED), from);
+    }
+
+    assert.equal(canStudentTransition(T.PAID, T.CANCELLED), false);
+  });
+
+  it('leaves starting a tuition to the tutor and only completes an ongoing one', () => {
+    assert.equal(canStudentTransition(T.PAID, T.ONGOING), false);
+    assert.equal(canStudentTransition(T.PAID, T.COMPLETED), false);
+    assert.ok(canStudentTransition(T.ONGOING, T.COMPLETED));
+
+    assert.ok(canTransition(T.PAID, T.ONGOING));
+    assert.equal(canTransition(T.COMPLETED, T.OPEN), false);
+  });
+
+  it('leaves selecting, paying and refunding to the payment flow', () => {
+    assert.equal(canTransition(T.OPEN, T.PAID), false);
+    assert.ok(canTransition(T.PAID, T.OPEN));
+
+    assert.equal(canAdminTransition(T.OPEN, T.TUTOR_SELECTED), false);
+    assert.equal(canAdminTransition(T.TUTOR_SELECTED, T.PAID), false);
+    assert.equal(canAdminTransition(T.PAID, T.OPEN), false);
+    assert.ok(canAdminTransition(T.PAID, T.ONGOING));
+    assert.ok(canAdminTransition(T.OPEN, T.CANCELLED));
+  });
+
+  it('reads the status of legacy posts', () => {
+    assert.equal(currentTuitionStatus({ status: 'open', postStatus: 'pending' }), T.PENDING_REVIEW);
+    assert.equal(currentTuitionStatus({ status: 'open', postStatus: 'rejected' }), T.REJECTED);
+    assert.equal(currentTuitionStatus({ status: 'open', postStatus: 'approved' }), T.OPEN);
+    assert.equal(currentTuitionStatus({ status: 'selected', paymentStatus: 'paid' }), T.PAID);
+    assert.equal(currentTuitionStatus({ status: 'selected' }), T.TUTOR_SELECTED);
+  });
+});
+
+describe('application workflow', () => {
+  it('hires only a selected application', () => {
+    assert.ok(canTransitionApplication(A.SELECTED, A.HIRED));
+
+    for (const from of [A.PENDING, A.SHORTLISTED, A.REJECTED, A.WITHDRAWN]) {
+      assert.equal(canTransitionApplication(from, A.HIRED), false, from);
+    }
+  });
+
+  it('undoes a hire only through a refund', () => {
+    assert.equal(canTransitionApplication(A.HIRED, A.PENDING), false);
+    assert.ok(canRefundTransitionApplication(A.HIRED, A.PENDING));
+    assert.ok(canRefundTransitionApplication(A.HIRED, A.REJECTED));
+  });
+
+  it('treats paid legacy applications as hired', () => {
+    assert.equal(currentApplicationStatus({ applyStatus: 'selected', paymentStatus: 'paid' }), A.HIRED);
+    assert.equal(currentApplicationStatus({ applyStatus: 'approved' }), A.PENDING);
+    assert.equal(currentApplicationStatus({ applyStatus: A.WITHDRAWN }), A.WITHDRAWN);
+  });
+});
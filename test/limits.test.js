@@ -0,0 +1,137 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { TooManyRequestsError } from '../lib/errors.js';
+import { assertQuota, createMemoryStore, limitFromEnv, quotaWindow, rateLimit } from '../lib/rateLimit.js';
+import { startTestApp } from './support/testApp.js';
+
+describe('rate limits', () => {
+  let t;
+  let admin;
+  let student;
+  let tutor;
+
+  before(async () => {
+    // read when the app is created, low enough to reach in a few requests
+    process.env.RATE_LIMIT_PUBLIC_MAX = '3';
+    t = await startTestApp({ rateLimitStore: createMemoryStore() });
+    delete process.env.RATE_LIMIT_PUBLIC_MAX;
+
+    admin = await t.createUser('admin');
+    student = await t.createUser('student');
+    tutor = await t.createUser('teacher');
+  });
+
+  after(() => t?.close());
+
+  it('answers 429 with Retry-After once an ip used up the public listing limit', async () => {
+    for (let i = 0; i < 3; i += 1) {
+      const res = await t.request('GET', '/all-tuitions');
+      assert.equal(res.status, 200);
+      assert.equal(res.headers.get('ratelimit-remaining'), String(2 - i));
+    }
+
+    const limited = await t.request('GET', '/public/tutors');
+    assert.equal(limited.status, 429);
+    assert.equal(limited.body.code, 'RATE_LIMITED');
+
+    const retryAfter = Number(limited.headers.get('retry-after'));
+    assert.ok(retryAfter >= 1 && retryAfter <= 60, String(retryAfter));
+
+    // no proxy is trusted, a made up forwarded address is still the same client
+    const forged = await t.request('GET', '/all-tuitions', { headers: { 'x-forwarded-for': '203.0.113.7' } });
+    assert.equal(forged.status, 429);
+  });
+
+  it('stops a student at the daily tuition post quota', async () => {
+    const settings = await t.request('PATCH', '/admin/settings', { token: admin.token, body: { dailyTuitionPostQuota: 2 } });
+    assert.equal(settings.status, 200);
+
+    const post = () =>
+      t.request('POST', '/tuitions', {
+        token: student.token,
+        body: { title: 'Math tutor', classLevel: 'SSC', subject: 'Math', location: 'Mirpur, Dhaka', budget: 4000 },
+      });
+
+    assert.equal((await post()).status, 200);
+    assert.equal((await post()).status, 200);
+
+    const refused = await post();
+    assert.equal(refused.status, 429);
+    assert.equal(refused.body.code, 'QUOTA_EXCEEDED');
+    assert.ok(Number(refused.headers.get('retry-after')) <= 24 * 60 * 60);
+  });
+
+  it('stops a tutor at the daily application quota', async () => {
+    await t.request('PATCH', '/admin/settings', { token: admin.token, body: { dailyTuitionPostQuota: 0, dailyApplicationQuota: 1 } });
+
+    const first = await t.createOpenTuition(student, admin);
+    const second = await t.createOpenTuition(student, admin);
+    await t.apply(tutor, first);
+
+    const refused = await t.request('POST', `/applications/${second._id}`, {
+      token: tutor.token,
+      body: { qualification: 'BSc in Math', experience: '2 years', expectedSalary: 4000, tutorName: tutor.name },
+    });
+    assert.equal(refused.status, 429);
+    assert.equal(refused.body.code, 'QUOTA_EXCEEDED');
+    assert.ok(refused.headers.get('retry-after'));
+  });
+});
+
+describe('rate limit building blocks', () => {
+  it('counts requests per key in a fixed window', async () => {
+    let time = 0;
+    const store = createMemoryStore({ now: () => time });
+
+    assert.deepEqual(await store.increment('a', 1000), { count: 1, resetAt: 1000 });
+    assert.equal((await store.increment('a', 1000)).count, 2);
+    assert.equal((await store.increment('b', 1000)).count, 1);
+
+    time = 1000;
+    assert.deepEqual(await store.increment('a', 1000), { count: 1, resetAt: 2000 });
+  });
+
+  it('throws past the limit and turns off at zero', async () => {
+    const store = createMemoryStore();
+    const headers = {};
+    const res = { set: (values) => Object.assign(headers, values) };
+    const req = { ip: '10.0.0.1' };
+
+    const limiter = rateLimit({ name: 'test', windowMs: 60 * 1000, max: 1, store });
+    await limiter(req, res, () => {});
+
+    await assert.rejects(
+      limiter(req, res, () => {}),
+      (err) => err instanceof TooManyRequestsError && err.retryAfter >= 1
+    );
+    assert.equal(headers['RateLimit-Remaining'], '0');
+
+    let passed = false;
+    await rateLimit({ name: 'off', windowMs: 1000, max: 0, store })(req, res, () => {
+      passed = true;
+    });
+    assert.ok(passed);
+  });
+
+  it('reads limits from the environment, falling back on bad values', () => {
+    const defaults = { max: 10, windowMs: 60000 };
+
+    assert.deepEqual(limitFromEnv('auth', defaults, { RATE_LIMIT_AUTH_MAX: '20' }), { name: 'auth', max: 20, windowMs: 60000 });
+    assert.deepEqual(limitFromEnv('auth', defaults, { RATE_LIMIT_AUTH_MAX: 'many', RATE_LIMIT_AUTH_WINDOW_MS: '-1' }), {
+      name: 'auth',
+      ...defaults,
+    });
+  });
+
+  it('resets quotas at UTC midnight', () => {
+    const now = new Date('2026-10-19T22:00:00Z');
+    assert.deepEqual(quotaWindow(now), { since: new Date('2026-10-19T00:00:00Z'), resetAt: new Date('2026-10-20T00:00:00Z') });
+
+    assert.doesNotThrow(() => assertQuota({ used: 4, quota: 5, message: 'quota', now }));
+    assert.doesNotThrow(() => assertQuota({ used: 50, quota: 0, message: 'quota', now }));
+    assert.throws(
+      () => assertQuota({ used: 5, quota: 5, message: 'quota', now }),
+      (err) => err.code === 'QUOTA_EXCEEDED' && err.retryAfter === 2 * 60 * 60
+    );
+  });
+});
@@ -0,0 +1,76 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestApp } from './support/testApp.js';
+
+describe('matching', () => {
+  let t;
+  let admin;
+  let student;
+  let otherStudent;
+  let physicsTutor;
+  let mathTutor;
+  let physics;
+  let math;
+  let elsewhere;
+
+  before(async () => {
+    t = await startTestApp();
+
+    admin = await t.createUser('admin');
+    student = await t.createUser('student');
+    otherStudent = await t.createUser('student');
+    physicsTutor = await t.createUser('teacher', {
+      subject: 'Physics, Chemistry',
+      teachingClass: 'Class 9-12',
+      location: 'Dhanmondi, Dhaka',
+      expectedSalary: 5000,
+    });
+    mathTutor = await t.createUser('teacher', { subject: 'Math', teachingClass: '3, 4, 5', location: 'Uttara, Dhaka' });
+
+    physics = await t.createOpenTuition(student, admin, { subject: 'Physics', classLevel: 'Class 10', location: 'Dhanmondi, Dhaka' });
+    math = await t.createOpenTuition(student, admin, { subject: 'Math', classLevel: 'Class 4', location: 'Uttara, Dhaka' });
+    // nothing in common with either tutor, not even the budget
+    elsewhere = await t.createOpenTuition(otherStudent, admin, {
+      subject: 'Biology',
+      classLevel: 'Class 1',
+      location: 'Sylhet',
+      budget: 1000,
+    });
+  });
+
+  after(() => t?.close());
+
+  const recommendations = async (tutor) => (await t.request('GET', '/recommendations/tuitions', { token: tutor.token })).body;
+  const matches = (tuition, user = student) => t.request('GET', `/tuitions/${tuition._id}/matches`, { token: user.token });
+
+  it('ranks open tuitions for a tutor and explains the score', async () => {
+    const { data } = await recommendations(physicsTutor);
+
+    assert.equal(data[0]._id, physics._id.toString());
+    assert.equal(data[0].match.score, 100);
+    assert.equal(data[0].studentId, undefined);
+    assert.ok(!data.some(({ _id }) => _id === elsewhere._id.toString()));
+
+    assert.equal((await recommendations(mathTutor)).data[0]._id, math._id.toString());
+  });
+
+  it('leaves out tuitions the tutor already applied to', async () => {
+    await t.apply(physicsTutor, physics);
+
+    const { data } = await recommendations(physicsTutor);
+    assert.ok(!data.some(({ _id }) => _id === physics._id.toString()));
+  });
+
+  it('ranks tutors for the student of a tuition only', async () => {
+    const res = await matches(physics);
+    assert.equal(res.status, 200);
+
+    const [best] = res.body.data;
+    assert.equal(best.firebaseUID, physicsTutor.firebaseUID);
+    assert.equal(best.applied, true);
+    assert.equal(best.email, undefined);
+
+    assert.equal((await matches(physics, otherStudent)).status, 404);
+    assert.equal((await matches(physics, physicsTutor)).status, 403);
+  });
+});
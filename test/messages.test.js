@@ -0,0 +1,86 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestApp } from './support/testApp.js';
+
+describe('messages', () => {
+  let t;
+  let admin;
+  let student;
+  let otherStudent;
+  let tutor;
+  let otherTutor;
+  let application;
+
+  before(async () => {
+    t = await startTestApp();
+
+    admin = await t.createUser('admin');
+    student = await t.createUser('student');
+    otherStudent = await t.createUser('student');
+    tutor = await t.createUser('teacher');
+    otherTutor = await t.createUser('teacher');
+
+    application = await t.apply(tutor, await t.createOpenTuition(student, admin));
+  });
+
+  after(() => t?.close());
+
+  const send = (user, body, target = application) =>
+    t.request('POST', `/applications/${target._id}/messages`, { token: user.token, body: { body } });
+  const thread = (user, query = '') => t.request('GET', `/applications/${application._id}/messages${query}`, { token: user.token });
+  const unread = async (user) => (await t.request('GET', '/messages/unread', { token: user.token })).body;
+
+  it('keeps a thread between the student and the tutor of the application', async () => {
+    assert.equal((await send(student, 'Can you start on Sunday?')).status, 200);
+    assert.equal((await send(tutor, 'Yes, 5pm works')).status, 200);
+
+    const res = await thread(student);
+    assert.equal(res.status, 200);
+    assert.deepEqual(
+      res.body.data.map(({ body }) => body),
+      ['Can you start on Sunday?', 'Yes, 5pm works']
+    );
+
+    assert.equal((await send(otherStudent, 'hello')).status, 404);
+    assert.equal((await send(otherTutor, 'hello')).status, 404);
+    assert.equal((await thread(otherStudent)).status, 404);
+
+    // admins may read any thread but not write in it
+    assert.equal((await thread(admin)).status, 200);
+    assert.equal((await send(admin, 'hello')).status, 403);
+  });
+
+  it('counts unread messages until the thread is read', async () => {
+    assert.equal((await unread(tutor)).total, 1);
+
+    const read = await t.request('POST', `/applications/${application._id}/messages/read`, { token: tutor.token });
+    assert.equal(read.status, 200);
+    assert.equal((await unread(tutor)).total, 0);
+    assert.equal((await unread(student)).total, 1);
+  });
+
+  it('pages older messages with before', async () => {
+    for (let i = 0; i < 3; i += 1) await send(student, `note ${i}`);
+
+    const page = await thread(tutor, '?limit=2');
+    assert.equal(page.body.hasMore, true);
+    assert.deepEqual(
+      page.body.data.map(({ body }) => body),
+      ['note 1', 'note 2']
+    );
+
+    const older = await thread(tutor, `?limit=2&before=${page.body.nextBefore}`);
+    assert.deepEqual(
+      older.body.data.map(({ body }) => body),
+      ['Yes, 5pm works', 'note 0']
+    );
+    assert.equal((await thread(tutor, '?before=nope')).status, 400);
+  });
+
+  it('closes the thread once the application is withdrawn', async () => {
+    const withdrawal = await t.request('PATCH', `/application/${application._id}/withdraw`, { token: tutor.token, body: {} });
+    assert.equal(withdrawal.status, 200);
+
+    assert.equal((await send(student, 'Are you still there?')).status, 409);
+  });
+});
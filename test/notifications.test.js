@@ -0,0 +1,109 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { NOTIFICATION_EVENTS, consoleTransport } from '../lib/notifications.js';
+import { startTestApp } from './support/testApp.js';
+
+describe('notifications', () => {
+  let t;
+  let admin;
+  let student;
+  let tutor;
+
+  before(async () => {
+    t = await startTestApp();
+
+    admin = await t.createUser('admin');
+    student = await t.createUser('student');
+    tutor = await t.createUser('teacher');
+  });
+
+  after(() => t?.close());
+
+  const notifications = async (user, query = '') => (await t.request('GET', `/notifications${query}`, { token: user.token })).body;
+  const unreadCount = async (user) => (await t.request('GET', '/notifications/unread-count', { token: user.token })).body.count;
+  const mailsTo = (user) => t.outbox.mails.filter(({ to }) => to === user.email);
+
+  it('tells the student in the app and by mail when a post is approved and a tutor applies', async () => {
+    const tuition = await t.createOpenTuition(student, admin, { title: 'Chemistry for HSC' });
+    await t.apply(tutor, tuition);
+
+    const { data } = await notifications(student);
+    assert.deepEqual(
+      data.slice(0, 2).map(({ event }) => event),
+      [NOTIFICATION_EVENTS.APPLICATION_RECEIVED, NOTIFICATION_EVENTS.TUITION_APPROVED]
+    );
+    assert.match(data[1].body, /Chemistry for HSC/);
+    assert.ok(mailsTo(student).some(({ subject }) => subject === 'Tuition post approved'));
+
+    // nothing of it reaches the tutor
+    assert.equal((await notifications(tutor)).total, 0);
+  });
+
+  it('marks notifications read, one or all, only for their owner', async () => {
+    const before = await unreadCount(student);
+    assert.ok(before >= 2);
+
+    const [latest] = (await notifications(student, '?unread=true')).data;
+    assert.equal((await t.request('PATCH', `/notifications/${latest._id}/read`, { token: tutor.token })).status, 404);
+    assert.equal((await t.request('PATCH', `/notifications/${latest._id}/read`, { token: student.token })).status, 200);
+    assert.equal(await unreadCount(student), before - 1);
+
+    assert.equal((await t.request('PATCH', '/notifications/read-all', { token: student.token })).status, 200);
+    assert.equal(await unreadCount(student), 0);
+  });
+
+  it('follows the preferences of the user', async () => {
+    const event = NOTIFICATION_EVENTS.APPLICATION_RECEIVED;
+
+    const off = await t.request('PATCH', '/user/me/notification-preferences', { token: student.token, body: { event, email: false } });
+    assert.equal(off.status, 200);
+    assert.deepEqual(off.body[event], { inApp: true, email: false });
+
+    const unknown = await t.request('PATCH', '/user/me/notification-preferences', {
+      token: student.token,
+      body: { event: 'tuition.exploded', email: false },
+    });
+    assert.equal(unknown.status, 400);
+
+    const mailsBefore = mailsTo(student).length;
+    const otherTutor = await t.createUser('teacher');
+    await t.apply(otherTutor, await t.createOpenTuition(student, admin));
+
+    // the approval still mails, the application only shows up in the app
+    assert.equal(mailsTo(student).length, mailsBefore + 1);
+    assert.equal((await notifications(student, '?unread=true')).data[0].event, event);
+  });
+});
+
+describe('console transport', () => {
+  const mail = { to: 'mim.akter@edubridge.test', subject: 'Payment received', text: 'Payment of 6000 BDT went through.' };
+
+  // lines the transport writes while LOG_LEVEL is level
+  const logged = async (level) => {
+    const lines = [];
+    const { write } = process.stdout;
+    const logLevel = process.env.LOG_LEVEL;
+
+    process.env.LOG_LEVEL = level;
+    process.stdout.write = (line) => lines.push(line);
+
+    try {
+      await consoleTransport.send(mail);
+    } finally {
+      process.stdout.write = write;
+      if (logLevel === undefined) delete process.env.LOG_LEVEL;
+      else process.env.LOG_LEVEL = logLevel;
+    }
+
+    return lines.map((line) => JSON.parse(line));
+  };
+
+  it('logs mails at debug only, with the recipient masked', async () => {
+    assert.deepEqual(await logged('info'), []);
+
+    const [line] = await logged('debug');
+    assert.equal(line.level, 'debug');
+    assert.equal(line.mail.to, 'm***@edubridge.test');
+    assert.equal(line.mail.subject, mail.subject);
+  });
+});
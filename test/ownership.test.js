@@ -0,0 +1,111 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestApp } from './support/testApp.js';
+
+describe('ownership', () => {
+  let t;
+  let admin;
+  let owner;
+  let otherStudent;
+  let tutor;
+  let otherTutor;
+  let tuition;
+  let application;
+
+  before(async () => {
+    t = await startTestApp();
+
+    admin = await t.createUser('admin');
+    owner = await t.createUser('student');
+    otherStudent = await t.createUser('student');
+    tutor = await t.createUser('teacher');
+    otherTutor = await t.createUser('teacher');
+
+    tuition = await t.createOpenTuition(owner, admin);
+    application = await t.apply(tutor, tuition);
+  });
+
+  after(() => t?.close());
+
+  it("keeps students out of each other's tuitions", async () => {
+    const path = `/tuitions/${tuition._id}`;
+
+    assert.equal((await t.request('PATCH', path, { token: otherStudent.token, body: { budget: 1 } })).status, 404);
+    assert.equal((await t.request('PATCH', `${path}/status`, { token: otherStudent.token, body: { status: 'cancelled' } })).status, 404);
+    assert.equal((await t.request('DELETE', path, { token: otherStudent.token, body: {} })).status, 404);
+
+    const listed = await t.request('GET', '/tuitions', { token: otherStudent.token });
+    assert.deepEqual(listed.body, []);
+
+    const unchanged = await t.db.collection('tuitions').findOne({ _id: tuition._id });
+    assert.equal(unchanged.budget, tuition.budget);
+    assert.equal(unchanged.status, 'open');
+  });
+
+  it("keeps students from deciding on applications to other students' tuitions", async () => {
+    const res = await t.request('PATCH', `/applications/${application._id}`, {
+      token: otherStudent.token,
+      body: { applyStatus: 'shortlisted' },
+    });
+    assert.equal(res.status, 404);
+
+    const own = await t.request('GET', '/tutor-applications', { token: otherStudent.token });
+    assert.deepEqual(own.body, []);
+  });
+
+  it("keeps tutors from changing each other's applications", async () => {
+    const path = `/application/${application._id}`;
+
+    assert.equal((await t.request('PATCH', path, { token: otherTutor.token, body: { expectedSalary: 1 } })).status, 404);
+    assert.equal((await t.request('PATCH', `${path}/withdraw`, { token: otherTutor.token, body: {} })).status, 404);
+    assert.equal((await t.request('DELETE', path, { token: otherTutor.token })).status, 404);
+
+    const still = await t.db.collection('applications').findOne({ _id: application._id });
+    assert.equal(still.applyStatus, 'pending');
+    assert.equal(still.expectedSalary, application.expectedSalary);
+  });
+
+  it('limits a message thread to its student and tutor', async () => {
+    const path = `/applications/${application._id}/messages`;
+
+    const sent = await t.request('POST', path, { token: owner.token, body: { body: 'When can you start?' } });
+    assert.equal(sent.status, 200);
+
+    assert.equal((await t.request('GET', path, { token: tutor.token })).status, 200);
+    assert.equal((await t.request('GET', path, { token: otherTutor.token })).status, 404);
+    assert.equal((await t.request('POST', path, { token: otherStudent.token, body: { body: 'hi' } })).status, 404);
+  });
+
+  it("refuses a checkout for someone else's tuition", async () => {
+    const res = await t.request('POST', '/create-checkout-session', {
+      token: otherStudent.token,
+      body: { tuitionId: tuition._id.toString(), applicationId: application._id.toString() },
+    });
+
+    assert.equal(res.status, 404);
+    assert.equal(t.stripe.sessions.size, 0);
+  });
+
+  it('shows payments only to the people they belong to', async () => {
+    await t.db.collection('payments').insertOne({
+      tuitionId: tuition._id.toString(),
+      applicationId: application._id.toString(),
+      studentId: owner.firebaseUID,
+      tutorId: tutor.firebaseUID,
+      amount: 6000,
+      tutorAmount: 5400,
+      adminFee: 600,
+      status: 'paid',
+      paidAt: new Date(),
+      stripeSessionId: 'cs_ownership',
+    });
+
+    const visibleTo = async (user) => (await t.request('GET', '/payment-history', { token: user.token })).body.length;
+
+    assert.equal(await visibleTo(owner), 1);
+    assert.equal(await visibleTo(tutor), 1);
+    assert.equal(await visibleTo(admin), 1);
+    assert.equal(await visibleTo(otherStudent), 0);
+    assert.equal(await visibleTo(otherTutor), 0);
+  });
+});
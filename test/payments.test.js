@@ -0,0 +1,380 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { NOTIFICATION_EVENTS } from '../lib/notifications.js';
+import { startTestApp } from './support/testApp.js';
+
+describe('payments', () => {
+  let t;
+  let admin;
+  let student;
+  let otherStudent;
+  let tutor;
+  let rival;
+
+  before(async () => {
+    t = await startTestApp();
+
+    admin = await t.createUser('admin');
+    student = await t.createUser('student');
+    otherStudent = await t.createUser('student');
+    tutor = await t.createUser('teacher');
+    rival = await t.createUser('teacher');
+  });
+
+  after(() => t?.close());
+
+  const checkout = (tuition, application, body = {}) =>
+    t.request('POST', '/create-checkout-session', {
+      token: student.token,
+      body: { tuitionId: tuition._id.toString(), applicationId: application._id.toString(), ...body },
+    });
+
+  // open tuition with two applicants, the first one selected and checked out.
+  // the refund and ledger cases hire their own tutor so earnings start at zero
+  const startCheckout = async ({ hiredTutor = tutor, billing } = {}) => {
+    const tuition = await t.createOpenTuition(student, admin);
+    const hired = await t.select(student, await t.apply(hiredTutor, tuition, { expectedSalary: 6000 }));
+    const competing = await t.apply(rival, tuition, { expectedSalary: 5500 });
+
+    const res = await checkout(tuition, hired, { billing });
+    assert.equal(res.status, 200);
+
+    const sessionId = res.body.url.split('/').pop();
+    return { tuition, hired, competing, sessionId };
+  };
+
+  // a checkout stripe reported paid
+  const paidCheckout = async (options) => {
+    const started = await startCheckout(options);
+    const res = await t.deliverWebhook(t.stripe.completeCheckout(started.sessionId));
+    assert.equal(res.status, 200);
+
+    return started;
+  };
+
+  const paymentSuccess = (sessionId, user = student) =>
+    t.request('GET', `/payment-success?session_id=${sessionId}`, { token: user?.token });
+
+  const findPayment = (stripeSessionId) => t.db.collection('payments').findOne({ stripeSessionId });
+  const earnings = async (teacher) => (await t.request('GET', '/earnings', { token: teacher.token })).body;
+
+  it('creates a checkout session with the salary split in its metadata', async () => {
+    const { tuition, hired, sessionId } = await startCheckout();
+    const session = t.stripe.sessions.get(sessionId);
+
+    assert.equal(session.mode, 'payment');
+    assert.equal(session.amount_total, 6000 * 100);
+    assert.deepEqual(
+      { ...session.metadata },
+      {
+        tuitionId: tuition._id.toString(),
+        applicationId: hired._id.toString(),
+        tutorId: tutor.firebaseUID,
+        studentId: student.firebaseUID,
+        tuitionTitle: tuition.title,
+        studentName: student.name,
+        studentEmail: student.email,
+        salary: '6000',
+        tutorAmount: '5400',
+        adminFee: '600',
+      }
+    );
+
+    // nothing is recorded before stripe confirms the payment
+    const status = await paymentSuccess(sessionId);
+    assert.equal(status.status, 200);
+    assert.equal(status.body.recorded, false);
+    assert.equal(await t.db.collection('payments').countDocuments({ stripeSessionId: sessionId }), 0);
+  });
+
+  it('ignores webhooks with a bad signature', async () => {
+    const { hired, sessionId } = await startCheckout();
+    const event = t.stripe.completeCheckout(sessionId);
+
+    const res = await t.deliverWebhook(event, 'whsec_wrong');
+    assert.equal(res.status, 400);
+
+    assert.equal(await t.db.collection('payments').countDocuments({ stripeSessionId: sessionId }), 0);
+    assert.equal((await t.db.collection('applications').findOne({ _id: hired._id })).applyStatus, 'selected');
+  });
+
+  it('records a paid checkout once, however often stripe delivers it', async () => {
+    const { tuition, hired, competing, sessionId } = await startCheckout();
+    const event = t.stripe.completeCheckout(sessionId);
+
+    for (let delivery = 0; delivery < 3; delivery += 1) {
+      const res = await t.deliverWebhook(event);
+      assert.equal(res.status, 200);
+    }
+
+    // polling the success page records nothing either
+    await paymentSuccess(sessionId);
+    const status = await paymentSuccess(sessionId);
+    assert.equal(status.body.paymentStatus, 'paid');
+    assert.equal(status.body.recorded, true);
+
+    const payments = await t.db.collection('payments').find({ stripeSessionId: sessionId }).toArray();
+    assert.equal(payments.length, 1);
+    assert.equal(payments[0].amount, 6000);
+    assert.equal(payments[0].tutorAmount, 5400);
+    assert.equal(payments[0].adminFee, 600);
+
+    const ledger = await t.db.collection('ledger').find({ stripeSessionId: sessionId }).toArray();
+    assert.equal(ledger.length, 1);
+
+    const debits = ledger[0].lines.reduce((total, line) => total + line.debit, 0);
+    const credits = ledger[0].lines.reduce((total, line) => total + line.credit, 0);
+    assert.equal(debits, credits);
+
+    assert.equal((await t.db.collection('applications').findOne({ _id: hired._id })).applyStatus, 'hired');
+    assert.equal((await t.db.collection('applications').findOne({ _id: competing._id })).applyStatus, 'rejected');
+
+    const paidTuition = await t.db.collection('tuitions').findOne({ _id: tuition._id });
+    assert.equal(paidTuition.status, 'paid');
+    assert.equal(paidTuition.paymentStatus, 'paid');
+
+    const notified = await t.db
+      .collection('notifications')
+      .countDocuments({ event: NOTIFICATION_EVENTS.PAYMENT_SUCCEEDED, 'data.applicationId': hired._id.toString() });
+    assert.equal(notified, 2);
+
+    const audited = await t.db.collection('auditLog').countDocuments({ action: 'payment.recorded', 'target.id': sessionId });
+    assert.equal(audited, 1);
+  });
+
+  it('records one payment when deliveries arrive at the same time', async () => {
+    const { sessionId } = await startCheckout();
+    const event = t.stripe.completeCheckout(sessionId);
+
+    const responses = await Promise.all([t.deliverWebhook(event), t.deliverWebhook(event), t.deliverWebhook(event)]);
+    responses.forEach((res) => assert.equal(res.status, 200));
+
+    assert.equal(await t.db.collection('payments').countDocuments({ stripeSessionId: sessionId }), 1);
+    assert.equal(await t.db.collection('ledger').countDocuments({ stripeSessionId: sessionId }), 1);
+  });
+
+  it('refuses a second checkout for a paid tuition', async () => {
+    const { tuition, hired } = await paidCheckout();
+
+    const again = await checkout(tuition, hired);
+    assert.equal(again.status, 409);
+  });
+
+  it('leaves paying and reopening a tuition to checkout and refunds, not the admin status route', async () => {
+    const setStatus = (tuition, status) => t.request('PATCH', `/tuitions-status/${tuition._id}`, { token: admin.token, body: { status } });
+
+    const open = await t.createOpenTuition(student, admin);
+    assert.equal((await setStatus(open, 'tutor_selected')).status, 409);
+    assert.equal((await setStatus(open, 'paid')).status, 409);
+
+    const { tuition } = await paidCheckout();
+    assert.equal((await setStatus(tuition, 'open')).status, 409);
+    assert.equal((await t.db.collection('tuitions').findOne({ _id: tuition._id })).status, 'paid');
+  });
+
+  it('only checks out the selected application', async () => {
+    const tuition = await t.createOpenTuition(student, admin);
+    const pending = await t.apply(tutor, tuition);
+    const quitter = await t.createUser('teacher');
+    const withdrawn = await t.apply(quitter, tuition);
+
+    const withdrawal = await t.request('PATCH', `/application/${withdrawn._id}/withdraw`, { token: quitter.token, body: {} });
+    assert.equal(withdrawal.status, 200);
+
+    const sessionsBefore = t.stripe.sessions.size;
+
+    // nobody is selected yet
+    assert.equal((await checkout(tuition, pending)).status, 409);
+
+    const selected = await t.select(student, await t.apply(rival, tuition));
+
+    assert.equal((await checkout(tuition, pending)).status, 409);
+    assert.equal((await checkout(tuition, withdrawn)).status, 409);
+    assert.equal(t.stripe.sessions.size, sessionsBefore);
+
+    assert.equal((await checkout(tuition, selected)).status, 200);
+  });
+
+  it('holds the tuition while a checkout is open and releases it when the session expires', async () => {
+    const { tuition, hired, sessionId } = await startCheckout();
+
+    assert.equal((await checkout(tuition, hired)).status, 409);
+
+    // the selected tutor can't be swapped out while the student is paying
+    const unselect = await t.request('PATCH', `/applications/${hired._id}`, { token: student.token, body: { applyStatus: 'shortlisted' } });
+    assert.equal(unselect.status, 409);
+
+    assert.equal((await t.deliverWebhook(t.stripe.expireCheckout(sessionId))).status, 200);
+    assert.equal((await t.db.collection('tuitions').findOne({ _id: tuition._id })).checkout, undefined);
+
+    assert.equal((await checkout(tuition, hired)).status, 200);
+  });
+
+  it('shows the payment status only to the student, the tutor and admins', async () => {
+    const { sessionId } = await paidCheckout();
+
+    assert.equal((await paymentSuccess(sessionId, null)).status, 401);
+    assert.equal((await paymentSuccess(sessionId, otherStudent)).status, 404);
+    assert.equal((await paymentSuccess(sessionId, rival)).status, 404);
+
+    for (const user of [student, tutor, admin]) {
+      const res = await paymentSuccess(sessionId, user);
+      assert.equal(res.status, 200);
+      assert.equal(res.body.recorded, true);
+    }
+
+    assert.equal((await paymentSuccess('cs_unknown')).status, 404);
+  });
+
+  it('refunds a payment in full, reverses the ledger and reopens the tuition', async () => {
+    const hiredTutor = await t.createUser('teacher');
+    const { tuition, hired, competing, sessionId } = await paidCheckout({ hiredTutor });
+    assert.deepEqual(await earnings(hiredTutor), { earned: 5400, refunded: 0, paidOut: 0, balance: 5400 });
+
+    const res = await t.request('POST', `/admin/payments/${sessionId}/refund`, {
+      token: admin.token,
+      body: { reason: 'tutor never came' },
+    });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.status, 'refunded');
+    assert.equal(t.stripe.refunds.at(-1).amount, 6000 * 100);
+
+    const payment = await findPayment(sessionId);
+    assert.equal(payment.status, 'refunded');
+    assert.equal(payment.refundedAmount, 6000);
+
+    assert.equal((await t.db.collection('tuitions').findOne({ _id: tuition._id })).status, 'open');
+    assert.equal((await t.db.collection('applications').findOne({ _id: hired._id })).applyStatus, 'pending');
+    assert.equal((await t.db.collection('applications').findOne({ _id: competing._id })).applyStatus, 'pending');
+
+    // stripe reports the same refund afterwards, nothing is posted twice
+    const reported = await t.deliverWebhook(t.stripe.refundCharge(payment.paymentIntentId, 6000 * 100));
+    assert.equal(reported.status, 200);
+
+    assert.deepEqual(await earnings(hiredTutor), { earned: 5400, refunded: 5400, paidOut: 0, balance: 0 });
+    assert.equal(await t.db.collection('ledger').countDocuments({ stripeSessionId: sessionId, type: 'refund' }), 1);
+    assert.equal(await t.db.collection('auditLog').countDocuments({ action: 'payment.refunded', 'target.id': sessionId }), 1);
+  });
+
+  it('holds a flagged payment away from the tutor until it is refunded', async () => {
+    const hiredTutor = await t.createUser('teacher');
+    const { hired, sessionId } = await startCheckout({ hiredTutor });
+
+    // the application left the workflow while the student was paying
+    await t.db.collection('applications').updateOne({ _id: hired._id }, { $set: { applyStatus: 'withdrawn' } });
+    assert.equal((await t.deliverWebhook(t.stripe.completeCheckout(sessionId))).status, 200);
+
+    assert.equal((await findPayment(sessionId)).review.status, 'pending');
+    assert.equal((await t.db.collection('ledger').findOne({ reference: `payment:${sessionId}` })).type, 'payment_held');
+    assert.deepEqual(await earnings(hiredTutor), { earned: 0, refunded: 0, paidOut: 0, balance: 0 });
+
+    const pending = await t.request('GET', '/admin/payouts/pending', { token: admin.token });
+    assert.ok(!pending.body.some(({ tutorId }) => tutorId === hiredTutor.firebaseUID));
+
+    const res = await t.request('POST', `/admin/payments/${sessionId}/refund`, { token: admin.token, body: {} });
+    assert.equal(res.status, 200);
+
+    // the refund takes the money out of where it was held, the tutor's balance never moves
+    const refund = await t.db.collection('ledger').findOne({ stripeSessionId: sessionId, type: 'refund' });
+    assert.deepEqual(
+      refund.lines.map(({ account }) => account),
+      ['liability:unallocated_payments', 'asset:stripe_cash']
+    );
+    assert.deepEqual(await earnings(hiredTutor), { earned: 0, refunded: 0, paidOut: 0, balance: 0 });
+  });
+
+  it('makes one stripe refund when two admins refund the same payment at once', async () => {
+    const hiredTutor = await t.createUser('teacher');
+    const { sessionId } = await paidCheckout({ hiredTutor });
+    const refundsBefore = t.stripe.refunds.length;
+
+    const refund = () => t.request('POST', `/admin/payments/${sessionId}/refund`, { token: admin.token, body: {} });
+    const results = await Promise.all([refund(), refund()]);
+
+    // the second one either gets the same stripe refund back or finds the payment refunded already
+    const [first, second] = results.map(({ status }) => status).sort();
+    assert.equal(first, 200);
+    assert.ok([200, 409].includes(second));
+    assert.equal(t.stripe.refunds.length, refundsBefore + 1);
+
+    const payment = await findPayment(sessionId);
+    assert.equal(payment.refundedAmount, 6000);
+    assert.equal(payment.refunds.length, 1);
+    assert.deepEqual(await earnings(hiredTutor), { earned: 5400, refunded: 5400, paidOut: 0, balance: 0 });
+  });
+
+  it('pays a balance out once when two payouts are made at the same time', async () => {
+    const hiredTutor = await t.createUser('teacher');
+    await paidCheckout({ hiredTutor });
+
+    const payout = () =>
+      t.request('POST', '/admin/payouts', { token: admin.token, body: { tutorId: hiredTutor.firebaseUID, amount: 5400, method: 'bkash' } });
+    const statuses = (await Promise.all([payout(), payout()])).map(({ status }) => status).sort();
+
+    // the second one is refused, either on the balance it read or on the payout number
+    assert.equal(statuses[0], 200);
+    assert.ok([400, 409].includes(statuses[1]));
+    assert.deepEqual(await earnings(hiredTutor), { earned: 5400, refunded: 0, paidOut: 5400, balance: 0 });
+
+    assert.equal((await payout()).status, 400);
+  });
+
+  it('refunds part of a payment and keeps the hire', async () => {
+    const hiredTutor = await t.createUser('teacher');
+    const { tuition, hired, sessionId } = await paidCheckout({ hiredTutor });
+
+    const res = await t.request('POST', `/admin/payments/${sessionId}/refund`, { token: admin.token, body: { amount: 1000 } });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.status, 'partially_refunded');
+
+    const tooMuch = await t.request('POST', `/admin/payments/${sessionId}/refund`, { token: admin.token, body: { amount: 5001 } });
+    assert.equal(tooMuch.status, 400);
+
+    assert.equal((await t.db.collection('tuitions').findOne({ _id: tuition._id })).status, 'paid');
+    assert.equal((await t.db.collection('applications').findOne({ _id: hired._id })).applyStatus, 'hired');
+
+    // the tutor's share of the refund is pro rata: 1000 of 6000 is 900 of 5400
+    assert.deepEqual(await earnings(hiredTutor), { earned: 5400, refunded: 900, paidOut: 0, balance: 4500 });
+
+    const ledger = await t.db.collection('ledger').find({ stripeSessionId: sessionId }).toArray();
+    for (const entry of ledger) {
+      const debits = entry.lines.reduce((total, line) => total + line.debit, 0);
+      const credits = entry.lines.reduce((total, line) => total + line.credit, 0);
+      assert.equal(debits, credits, entry.reference);
+    }
+  });
+
+  it('records each monthly invoice once and leaves a refunded one refunded', async () => {
+    const hiredTutor = await t.createUser('teacher');
+    const { sessionId } = await paidCheckout({ hiredTutor, billing: 'monthly' });
+
+    const event = t.stripe.payInvoice(sessionId);
+    const invoiceId = event.data.object.id;
+
+    for (let delivery = 0; delivery < 2; delivery += 1) {
+      assert.equal((await t.deliverWebhook(event)).status, 200);
+    }
+
+    assert.equal(await t.db.collection('payments').countDocuments({ invoiceId }), 1);
+    assert.equal((await findPayment(invoiceId)).status, 'paid');
+    assert.equal(await t.db.collection('ledger').countDocuments({ stripeSessionId: invoiceId, type: 'payment' }), 1);
+
+    const refund = await t.request('POST', `/admin/payments/${invoiceId}/refund`, { token: admin.token, body: {} });
+    assert.equal(refund.status, 200);
+
+    // a late redelivery of the paid invoice
+    assert.equal((await t.deliverWebhook(event)).status, 200);
+
+    const payment = await findPayment(invoiceId);
+    assert.equal(payment.status, 'refunded');
+    assert.equal(payment.refundedAmount, 6000);
+
+    assert.equal(await t.db.collection('ledger').countDocuments({ stripeSessionId: invoiceId, type: 'payment' }), 1);
+    assert.equal(await t.db.collection('auditLog').countDocuments({ action: 'payment.recorded', 'target.id': invoiceId }), 1);
+    assert.deepEqual(await earnings(hiredTutor), { earned: 5400, refunded: 5400, paidOut: 0, balance: 0 });
+
+    // a refunded month doesn't end the subscription
+    const subscription = await t.db.collection('subscriptions').findOne({ stripeSessionId: sessionId });
+    assert.equal(subscription.status, 'active');
+  });
+});
@@ -0,0 +1,171 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestApp } from './support/testApp.js';
+
+describe('scheduling', () => {
+  let t;
+  let admin;
+  let student;
+  let otherStudent;
+  let tutor;
+
+  before(async () => {
+    t = await startTestApp();
+
+    admin = await t.createUser('admin');
+    student = await t.createUser('student');
+    otherStudent = await t.createUser('student');
+    tutor = await t.createUser('teacher');
+  });
+
+  after(() => t?.close());
+
+  // a tuition the student paid the tutor for, { billing: 'monthly' } starts a subscription
+  const paidTuition = async (body = {}) => {
+    const tuition = await t.createOpenTuition(student, admin);
+    const application = await t.select(student, await t.apply(tutor, tuition));
+
+    const res = await t.request('POST', '/create-checkout-session', {
+      token: student.token,
+      body: { tuitionId: tuition._id.toString(), applicationId: application._id.toString(), ...body },
+    });
+    assert.equal(res.status, 200);
+
+    const paid = await t.deliverWebhook(t.stripe.completeCheckout(res.body.url.split('/').pop()));
+    assert.equal(paid.status, 200);
+
+    return tuition;
+  };
+
+  const schedule = (tuition, body, user = student) => t.request('PUT', `/tuitions/${tuition._id}/schedule`, { token: user.token, body });
+  const weekly = { timezone: 'Asia/Dhaka', slots: [{ day: 'sun', start: '17:00', durationMinutes: 90 }], weeks: 3 };
+
+  const findTuition = (tuition) => t.db.collection('tuitions').findOne({ _id: tuition._id });
+
+  // sessions are generated in the future, a lesson that already happened is moved into the past
+  const startedSession = async (tuition) => {
+    const session = await t.db.collection('sessions').findOne({ tuitionId: tuition._id, status: 'scheduled' });
+    await t.db.collection('sessions').updateOne({ _id: session._id }, { $set: { startsAt: new Date(Date.now() - 60 * 60 * 1000) } });
+    return session;
+  };
+
+  it('turns a weekly schedule into sessions both sides can see', async () => {
+    const tuition = await paidTuition();
+
+    const res = await schedule(tuition, weekly);
+    assert.equal(res.status, 200);
+    assert.ok(res.body.created >= 3);
+
+    const listed = await t.request('GET', `/tuitions/${tuition._id}/sessions`, { token: tutor.token });
+    assert.equal(listed.status, 200);
+    assert.equal(listed.body.sessions.length, res.body.created);
+
+    for (const session of listed.body.sessions) {
+      assert.equal(new Date(session.startsAt).getUTCDay(), 0);
+      // 17:00 in Dhaka (UTC+6)
+      assert.equal(new Date(session.startsAt).getUTCHours(), 11);
+      assert.equal(new Date(session.endsAt) - new Date(session.startsAt), 90 * 60 * 1000);
+    }
+
+    assert.equal((await t.request('GET', `/tuitions/${tuition._id}/sessions`, { token: otherStudent.token })).status, 404);
+
+    // rescheduling replaces the upcoming sessions instead of adding to them
+    const moved = await schedule(tuition, { ...weekly, slots: [{ day: 'tue', start: '18:30', durationMinutes: 60 }] });
+    assert.equal(moved.status, 200);
+    assert.equal(await t.db.collection('sessions').countDocuments({ tuitionId: tuition._id, status: 'scheduled' }), moved.body.created);
+  });
+
+  it('refuses overlapping slots, unknown timezones and unpaid tuitions', async () => {
+    const tuition = await paidTuition();
+
+    const overlapping = await schedule(tuition, {
+      timezone: 'Asia/Dhaka',
+      slots: [
+        { day: 'mon', start: '16:00', durationMinutes: 120 },
+        { day: 'mon', start: '17:00', durationMinutes: 60 },
+      ],
+    });
+    assert.equal(overlapping.status, 400);
+
+    assert.equal((await schedule(tuition, { ...weekly, timezone: 'Mars/Olympus' })).status, 400);
+
+    const open = await t.createOpenTuition(student, admin);
+    assert.equal((await schedule(open, weekly)).status, 404);
+  });
+
+  it('starts the tuition when the tutor marks the first session held', async () => {
+    const tuition = await paidTuition();
+    await schedule(tuition, weekly);
+
+    // the student can't start it on their own
+    const started = await t.request('PATCH', `/tuitions/${tuition._id}/status`, { token: student.token, body: { status: 'ongoing' } });
+    assert.equal(started.status, 409);
+
+    const upcoming = await t.db.collection('sessions').findOne({ tuitionId: tuition._id, status: 'scheduled' }, { sort: { startsAt: -1 } });
+    const early = await t.request('PATCH', `/sessions/${upcoming._id}/status`, { token: tutor.token, body: { status: 'held' } });
+    assert.equal(early.status, 409);
+
+    const session = await startedSession(tuition);
+    const held = await t.request('PATCH', `/sessions/${session._id}/status`, { token: tutor.token, body: { status: 'held' } });
+    assert.equal(held.status, 200);
+    assert.equal((await findTuition(tuition)).status, 'ongoing');
+
+    const attendance = await t.request('PATCH', `/sessions/${session._id}/attendance`, { token: student.token, body: { attended: true } });
+    assert.equal(attendance.status, 200);
+
+    const again = await t.request('PATCH', `/sessions/${session._id}/attendance`, { token: student.token, body: { attended: false } });
+    assert.equal(again.status, 409);
+  });
+
+  it('completes a tuition only after a held session, then takes one review', async () => {
+    const tuition = await paidTuition();
+    await schedule(tuition, weekly);
+
+    // ongoing without a held session, e.g. moved there by an admin
+    await t.db.collection('tuitions').updateOne({ _id: tuition._id }, { $set: { status: 'ongoing' } });
+
+    const complete = () => t.request('PATCH', `/tuitions/${tuition._id}/status`, { token: student.token, body: { status: 'completed' } });
+    assert.equal((await complete()).status, 409);
+
+    const session = await startedSession(tuition);
+    await t.request('PATCH', `/sessions/${session._id}/status`, { token: tutor.token, body: { status: 'held' } });
+
+    assert.equal((await complete()).status, 200);
+    assert.equal((await findTuition(tuition)).status, 'completed');
+
+    const review = { rating: 5, comment: 'Patient and well prepared' };
+    const reviews = await Promise.all([
+      t.request('POST', `/tuitions/${tuition._id}/review`, { token: student.token, body: review }),
+      t.request('POST', `/tuitions/${tuition._id}/review`, { token: student.token, body: review }),
+    ]);
+
+    assert.deepEqual(reviews.map((res) => res.status).sort(), [200, 409]);
+    assert.equal(await t.db.collection('reviews').countDocuments({ tuitionId: tuition._id }), 1);
+  });
+
+  it('ends a monthly tuition with its subscription and schedules nothing after it', async () => {
+    const tuition = await paidTuition({ billing: 'monthly' });
+    await schedule(tuition, weekly);
+
+    const session = await startedSession(tuition);
+    await t.request('PATCH', `/sessions/${session._id}/status`, { token: tutor.token, body: { status: 'held' } });
+    assert.equal((await findTuition(tuition)).status, 'ongoing');
+
+    const subscription = await t.db.collection('subscriptions').findOne({ tuitionId: tuition._id.toString() });
+    const ended = t.stripe.endSubscription(subscription.stripeSubscriptionId);
+
+    for (let delivery = 0; delivery < 2; delivery += 1) {
+      assert.equal((await t.deliverWebhook(ended)).status, 200);
+    }
+
+    assert.equal((await findTuition(tuition)).status, 'completed');
+
+    const upcoming = () => t.db.collection('sessions').countDocuments({ tuitionId: tuition._id, status: 'scheduled' });
+    assert.equal(await upcoming(), 0);
+
+    const cron = await t.request('GET', '/cron/generate-sessions', { headers: { authorization: `Bearer ${process.env.CRON_SECRET}` } });
+    assert.equal(cron.status, 200);
+    assert.equal(await upcoming(), 0);
+    assert.equal((await t.db.collection('sessions').findOne({ _id: session._id })).status, 'held');
+  });
+});
@@ -0,0 +1,194 @@
+// ---------- fakes ----------
+// stand-ins for the external services createApp() takes, with the same methods the app calls
+
+// lib/paymentGateway.js, checkout sessions live in memory and webhooks are signed with `fake-signature:<secret>`
+export const createFakeStripe = () => {
+  const sessions = new Map();
+  const refunds = [];
+  const refundsByKey = new Map();
+  const subscriptionCalls = [];
+  let sequence = 0;
+
+  const nextId = (prefix) => {
+    sequence += 1;
+    return `${prefix}_test_${sequence}`;
+  };
+
+  const signatureFor = (secret) => `fake-signature:${secret}`;
+
+  const notFound = (id) =>
+    Object.assign(new Error(`No such checkout.session: '${id}'`), { type: 'StripeInvalidRequestError', statusCode: 404 });
+
+  return {
+    sessions,
+    refunds,
+    subscriptionCalls,
+
+    signatureFor,
+
+    constructWebhookEvent: (payload, signature, secret) => {
+      if (signature !== signatureFor(secret)) throw new Error('No signatures found matching the expected signature for payload');
+      return JSON.parse(payload.toString('utf8'));
+    },
+
+    createCheckoutSession: async (params) => {
+      const id = nextId('cs');
+      const session = {
+        id,
+        object: 'checkout.session',
+        url: `https://checkout.stripe.test/${id}`,
+        mode: params.mode,
+        metadata: params.metadata,
+        customer_email: params.customer_email,
+        amount_total: params.line_items.reduce((total, item) => total + item.price_data.unit_amount * item.quantity, 0),
+        payment_status: 'unpaid',
+        payment_intent: null,
+        params,
+      };
+
+      sessions.set(id, session);
+      return session;
+    },
+
+    retrieveCheckoutSession: async (id) => {
+      if (!sessions.has(id)) throw notFound(id);
+      return sessions.get(id);
+    },
+
+    // a repeated idempotency key returns the first refund, with other parameters it is refused like stripe does
+    createRefund: async ({ paymentIntentId, amount, metadata, idempotencyKey }) => {
+      const earlier = refundsByKey.get(idempotencyKey);
+      if (earlier && earlier.amount !== amount) {
+        throw Object.assign(new Error('Keys for idempotent requests can only be used with the same parameters'), {
+          type: 'StripeIdempotencyError',
+          statusCode: 400,
+        });
+      }
+      if (earlier) return earlier;
+
+      const refund = { id: nextId('re'), payment_intent: paymentIntentId, amount, metadata, status: 'succeeded' };
+      refunds.push(refund);
+      if (idempotencyKey) refundsByKey.set(idempotencyKey, refund);
+      return refund;
+    },
+
+    retrieveInvoicePaymentIntent: async () => nextId('pi'),
+
+    pauseSubscription: async (id) => {
+      subscriptionCalls.push({ action: 'pause', id });
+      return { id };
+    },
+
+    resumeSubscription: async (id) => {
+      subscriptionCalls.push({ action: 'resume', id });
+      return { id };
+    },
+
+    cancelSubscription: async (id, options = {}) => {
+      subscriptionCalls.push({ action: 'cancel', id, ...options });
+      return { id };
+    },
+
+    // what stripe does when the customer finishes checkout, returns the webhook event it would send
+    completeCheckout: (id) => {
+      const session = sessions.get(id);
+      if (!session) throw notFound(id);
+
+      Object.assign(session, {
+        payment_status: 'paid',
+        status: 'complete',
+        ...(session.mode === 'subscription'
+          ? { subscription: nextId('sub'), customer: nextId('cus') }
+          : { payment_intent: session.payment_intent || nextId('pi') }),
+      });
+
+      return { id: nextId('evt'), type: 'checkout.session.completed', data: { object: { ...session } } };
+    },
+
+    // the customer never paid and the session ran out
+    expireCheckout: (id) => {
+      const session = sessions.get(id);
+      if (!session) throw notFound(id);
+
+      Object.assign(session, { status: 'expired' });
+      return { id: nextId('evt'), type: 'checkout.session.expired', data: { object: { ...session } } };
+    },
+
+    // a paid invoice of the subscription a monthly checkout started, `periodStart` in seconds
+    payInvoice: (sessionId, { id = nextId('in'), periodStart = Math.floor(Date.now() / 1000) } = {}) => {
+      const session = sessions.get(sessionId);
+      if (!session?.subscription) throw new Error(`checkout ${sessionId} did not start a subscription`);
+
+      const invoice = {
+        id,
+        object: 'invoice',
+        amount_paid: session.amount_total,
+        status: 'paid',
+        status_transitions: { paid_at: periodStart },
+        parent: { subscription_details: { subscription: session.subscription, metadata: session.params.subscription_data.metadata } },
+        lines: { data: [{ period: { start: periodStart, end: periodStart + 30 * 24 * 60 * 60 } }] },
+      };
+
+      return { id: nextId('evt'), type: 'invoice.paid', data: { object: invoice } };
+    },
+
+    // the subscription ended, cancelled by the customer or by stripe after failed payments
+    endSubscription: (subscriptionId) => ({
+      id: nextId('evt'),
+      type: 'customer.subscription.deleted',
+      data: {
+        object: {
+          id: subscriptionId,
+          object: 'subscription',
+          status: 'canceled',
+          cancel_at_period_end: false,
+          canceled_at: Math.floor(Date.now() / 1000),
+          items: { data: [] },
+        },
+      },
+    }),
+
+    // stripe reporting a refund of the payment intent, made here or in the dashboard
+    refundCharge: (paymentIntentId, amountRefunded) => ({
+      id: nextId('evt'),
+      type: 'charge.refunded',
+      data: { object: { id: nextId('ch'), object: 'charge', payment_intent: paymentIntentId, amount_refunded: amountRefunded } },
+    }),
+  };
+};
+
+// firebase admin auth, an id token is `fake-id-token:<uid>`
+const ID_TOKEN_PREFIX = 'fake-id-token:';
+
+export const createFakeAuth = () => {
+  const deletedUsers = [];
+
+  return {
+    deletedUsers,
+
+    idTokenFor: (uid) => `${ID_TOKEN_PREFIX}${uid}`,
+
+    verifyIdToken: async (token) => {
+      if (!token.startsWith(ID_TOKEN_PREFIX)) {
+        throw Object.assign(new Error('Decoding Firebase ID token failed'), { code: 'auth/argument-error' });
+      }
+      return { uid: token.slice(ID_TOKEN_PREFIX.length) };
+    },
+
+    deleteUser: async (uid) => {
+      deletedUsers.push(uid);
+    },
+  };
+};
+
+// email transport that keeps the mails
+export const createOutbox = () => {
+  const mails = [];
+  return { mails, send: async (mail) => mails.push(mail) };
+};
+
+// the suites sign up many users from one ip, limits.test.js runs the limits against a real store
+export const unlimitedStore = {
+  increment: async (key, windowMs) => ({ count: 1, resetAt: Date.now() + windowMs }),
+  reset: async () => {},
+};
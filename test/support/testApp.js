@@ -0,0 +1,161 @@
+import { once } from 'events';
+import { MongoClient, ObjectId } from 'mongodb';
+import { MongoMemoryServer } from 'mongodb-memory-server';
+import { createApp } from '../../app.js';
+import { createFakeAuth, createFakeStripe, createOutbox, unlimitedStore } from './fakes.js';
+
+// ---------- test app ----------
+// the real app on a random port, backed by a throwaway mongod and the fakes.
+// one per test file, every file gets an empty database.
+// TEST_DATABASE_URL runs the suites against a mongod that is already running instead of downloading one,
+// each file then uses its own database and drops it when done
+
+process.env.ACCESS_TOKEN_SECRET ||= 'test-access-secret';
+process.env.STRIPE_WEBHOOK_SECRET ||= 'whsec_test';
+process.env.CRON_SECRET ||= 'test-cron-secret';
+// the payment suite posts a tuition per case from the same student
+process.env.DAILY_TUITION_POST_QUOTA ||= '100';
+
+const startMongod = async () => {
+  if (process.env.TEST_DATABASE_URL) return { uri: process.env.TEST_DATABASE_URL, stop: async () => {} };
+
+  const mongod = await MongoMemoryServer.create();
+  return { uri: mongod.getUri(), stop: () => mongod.stop() };
+};
+
+// rateLimitStore defaults to one that never limits, the limits suite passes a real one
+export const startTestApp = async ({ rateLimitStore = unlimitedStore } = {}) => {
+  const mongod = await startMongod();
+  const mongoClient = new MongoClient(mongod.uri);
+  const dbName = `edubridge-test-${process.pid}-${Date.now()}`;
+
+  const stripe = createFakeStripe();
+  const auth = createFakeAuth();
+  const outbox = createOutbox();
+
+  const app = createApp({
+    mongoClient,
+    dbName,
+    paymentGateway: stripe,
+    auth,
+    rateLimitStore,
+    autoMigrate: true,
+    transport: outbox,
+  });
+  const server = app.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+  const db = mongoClient.db(dbName);
+
+  // { status, headers, body } with the body parsed when it is JSON
+  const request = async (method, path, { token, body, headers = {} } = {}) => {
+    const res = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: {
+        ...(body !== undefined && { 'content-type': 'application/json' }),
+        ...(token && { authorization: `Bearer ${token}` }),
+        ...headers,
+      },
+      body: body === undefined || typeof body === 'string' ? body : JSON.stringify(body),
+    });
+
+    const text = await res.text();
+    let parsed = text;
+
+    try {
+      parsed = text ? JSON.parse(text) : null;
+    } catch (err) {
+      // csv, ics, ...
+    }
+
+    return { status: res.status, headers: res.headers, body: parsed };
+  };
+
+  let userCount = 0;
+
+  // students and teachers sign up through the api, staff roles can't so they are inserted directly
+  const createUser = async (userType, fields = {}) => {
+    userCount += 1;
+
+    const profile = {
+      name: `${userType} ${userCount}`,
+      email: `${userType}${userCount}@edubridge.test`,
+      firebaseUID: `${userType}-${userCount}`,
+      userType,
+      ...fields,
+    };
+
+    if (['student', 'teacher'].includes(userType)) {
+      const signup = await request('POST', '/signup', { body: profile });
+      if (signup.status !== 200) throw new Error(`signup failed with ${signup.status}: ${JSON.stringify(signup.body)}`);
+    } else {
+      // the collections only exist after the first request ran the migrations
+      await request('GET', '/');
+      await db.collection('users').insertOne({ ...profile, createdAt: new Date() });
+    }
+
+    return { ...profile, ...(await login(profile.firebaseUID)) };
+  };
+
+  // access + refresh token for an existing user
+  const login = async (firebaseUID) => {
+    const res = await request('POST', '/api/auth/jwt', { body: { token: auth.idTokenFor(firebaseUID) } });
+    if (res.status !== 200) throw new Error(`login failed with ${res.status}: ${JSON.stringify(res.body)}`);
+    return res.body;
+  };
+
+  // stripe delivering a webhook event
+  const deliverWebhook = (event, secret = process.env.STRIPE_WEBHOOK_SECRET) =>
+    request('POST', '/webhooks/stripe', { body: event, headers: { 'stripe-signature': stripe.signatureFor(secret) } });
+
+  // a tuition the admin approved, open for applications
+  const createOpenTuition = async (student, admin, fields = {}) => {
+    const created = await request('POST', '/tuitions', {
+      token: student.token,
+      body: {
+        title: 'Physics tutor for HSC',
+        classLevel: 'HSC',
+        subject: 'Physics',
+        location: 'Dhanmondi, Dhaka',
+        budget: 5000,
+        ...fields,
+      },
+    });
+    if (created.status !== 200) throw new Error(`tuition post failed with ${created.status}: ${JSON.stringify(created.body)}`);
+
+    const tuitionId = created.body.insertedId;
+    const approved = await request('PATCH', `/tuitions-status/${tuitionId}`, { token: admin.token, body: { status: 'open' } });
+    if (approved.status !== 200) throw new Error(`approval failed with ${approved.status}: ${JSON.stringify(approved.body)}`);
+
+    return db.collection('tuitions').findOne({ _id: new ObjectId(tuitionId) });
+  };
+
+  const apply = async (teacher, tuition, fields = {}) => {
+    const res = await request('POST', `/applications/${tuition._id}`, {
+      token: teacher.token,
+      body: { qualification: 'BSc in Physics', experience: '3 years', expectedSalary: 6000, tutorName: teacher.name, ...fields },
+    });
+    if (res.status !== 200) throw new Error(`application failed with ${res.status}: ${JSON.stringify(res.body)}`);
+
+    return db.collection('applications').findOne({ _id: new ObjectId(res.body.insertedId) });
+  };
+
+  // the student picking the tutor to pay, locks the tuition to this application
+  const select = async (student, application) => {
+    const res = await request('PATCH', `/applications/${application._id}`, { token: student.token, body: { applyStatus: 'selected' } });
+    if (res.status !== 200) throw new Error(`selection failed with ${res.status}: ${JSON.stringify(res.body)}`);
+
+    return db.collection('applications').findOne({ _id: application._id });
+  };
+
+  const close = async () => {
+    server.closeAllConnections();
+    server.close();
+    await db.dropDatabase();
+    await mongoClient.close();
+    await mongod.stop();
+  };
+
+  return { app, db, stripe, auth, outbox, request, createUser, login, deliverWebhook, createOpenTuition, apply, select, close };
+};
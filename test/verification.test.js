@@ -0,0 +1,87 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { NOTIFICATION_EVENTS } from '../lib/notifications.js';
+import { startTestApp } from './support/testApp.js';
+
+describe('tutor verification', () => {
+  let t;
+  let admin;
+  let student;
+  let tutor;
+
+  before(async () => {
+    t = await startTestApp();
+
+    admin = await t.createUser('admin');
+    student = await t.createUser('student');
+    tutor = await t.createUser('teacher');
+  });
+
+  after(() => t?.close());
+
+  const documents = [
+    { type: 'national_id', url: 'https://files.test/nid.pdf', name: 'NID' },
+    { type: 'certificate', url: 'https://files.test/bsc.pdf', name: 'BSc certificate' },
+  ];
+
+  const submit = (user) => t.request('POST', '/verification', { token: user.token, body: { documents } });
+  const review = (id, body, user = admin) => t.request('PATCH', `/admin/verifications/${id}`, { token: user.token, body });
+  const queue = async (status = 'pending') =>
+    (await t.request('GET', `/admin/verifications?status=${status}`, { token: admin.token })).body;
+
+  it('takes one pending submission per tutor and queues it for admins', async () => {
+    assert.equal((await submit(student)).status, 403);
+    assert.equal((await submit(tutor)).status, 200);
+    assert.equal((await submit(tutor)).status, 409);
+
+    const { data, total } = await queue();
+    assert.equal(total, 1);
+    assert.equal(data[0].tutorName, tutor.name);
+    assert.equal((await t.request('GET', '/admin/verifications', { token: tutor.token })).status, 403);
+  });
+
+  it('lets only verified tutors apply when the platform asks for it', async () => {
+    await t.request('PATCH', '/admin/settings', { token: admin.token, body: { requireVerifiedTutors: true } });
+    const tuition = await t.createOpenTuition(student, admin);
+
+    const apply = () =>
+      t.request('POST', `/applications/${tuition._id}`, {
+        token: tutor.token,
+        body: { qualification: 'BSc in Physics', experience: '3 years', expectedSalary: 6000, tutorName: tutor.name },
+      });
+
+    assert.equal((await apply()).status, 403);
+
+    const [pending] = (await queue()).data;
+    const approved = await review(pending._id, { status: 'approved', note: 'documents match' });
+    assert.equal(approved.status, 200);
+    assert.equal(approved.body.status, 'approved');
+
+    // a second review of the same submission is refused
+    assert.equal((await review(pending._id, { status: 'rejected' })).status, 404);
+
+    const profile = await t.request('GET', `/public/tutors/${tutor.firebaseUID}`);
+    assert.equal(profile.body.verified, true);
+    assert.equal((await apply()).status, 200);
+
+    const notifications = await t.db.collection('notifications').find({ uid: tutor.firebaseUID }).toArray();
+    assert.ok(notifications.some(({ event }) => event === NOTIFICATION_EVENTS.VERIFICATION_REVIEWED));
+
+    await t.request('PATCH', '/admin/settings', { token: admin.token, body: { requireVerifiedTutors: false } });
+  });
+
+  it('shows a rejected submission and its note to the tutor', async () => {
+    const otherTutor = await t.createUser('teacher');
+    await submit(otherTutor);
+
+    const [pending] = (await queue()).data;
+    assert.equal((await review(pending._id, { status: 'rejected', note: 'the scan is unreadable' })).status, 200);
+
+    const latest = await t.request('GET', '/verification', { token: otherTutor.token });
+    assert.equal(latest.body.status, 'rejected');
+    assert.equal(latest.body.review.note, 'the scan is unreadable');
+
+    // after a rejection the tutor can send new documents
+    assert.equal((await submit(otherTutor)).status, 200);
+  });
+});